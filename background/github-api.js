@@ -4,20 +4,41 @@
  * Enforces repository-specific access via GitHub App installations
  */
 
-import { getValidAccessToken, getInstallationRepositories } from './github-auth.js';
+import {
+  getValidAccessToken,
+  getAllInstallationRepositories,
+  getAuthenticatedUser,
+  getInstallation,
+  getInstallationSettingsUrl,
+  fetchGitHub
+} from './github-auth.js';
+import { parseSpikeProject, getSourceFiles, getProjectFingerprint } from '../lib/spike-project.js';
+import { diffProjects } from '../lib/project-diff.js';
+import { findRoute } from '../lib/routing-rules.js';
+import { buildProjectPaths, normalizeFolder, parseProjectPath, usesUserPlaceholder } from '../lib/path-template.js';
 
 const GITHUB_API_BASE = 'https://api.github.com';
 
+// GitHub rejects files larger than 100 MB outright
+const GITHUB_MAX_FILE_SIZE = 100 * 1024 * 1024;
+
+// Bytes per btoa() call when encoding; must be a multiple of 3
+const BASE64_SLICE_SIZE = 3 * 8192;
+
+// Repository created from the popup that still needs its starter files
+const PENDING_REPOSITORY_KEY = 'pending_repository';
+const STARTER_PROJECT_FOLDER = 'projects/';
+
 /**
  * Make authenticated request to GitHub API
- * @param {string} endpoint - API endpoint (without base URL)
+ * @param {string} endpoint - API endpoint (without base URL), or a full URL for other GitHub hosts (uploads)
  * @param {Object} options - Fetch options
  * @returns {Promise<Object>} Response data
  */
 async function githubRequest(endpoint, options = {}) {
   const token = await getValidAccessToken();
 
-  const url = `${GITHUB_API_BASE}${endpoint}`;
+  const url = endpoint.startsWith('https://') ? endpoint : `${GITHUB_API_BASE}${endpoint}`;
   const headers = {
     'Authorization': `Bearer ${token}`,
     'Accept': 'application/vnd.github.v3+json',
@@ -25,7 +46,7 @@ async function githubRequest(endpoint, options = {}) {
     ...options.headers
   };
 
-  const response = await fetch(url, {
+  const response = await fetchGitHub(url, {
     ...options,
     headers
   });
@@ -62,8 +83,14 @@ async function githubRequest(endpoint, options = {}) {
  */
 async function validateRepositoryAccess(repository) {
   try {
-    const installationRepos = await getInstallationRepositories();
-    const hasAccess = installationRepos.some(repo => repo.full_name === repository);
+    let installationRepos = await getAllInstallationRepositories();
+    let hasAccess = installationRepos.some(repo => repo.full_name === repository);
+
+    // The cached listing may be from before the user added the repository to the installation
+    if (!hasAccess) {
+      installationRepos = await getAllInstallationRepositories({ refresh: true });
+      hasAccess = installationRepos.some(repo => repo.full_name === repository);
+    }
 
     if (!hasAccess) {
       throw new Error(
@@ -94,8 +121,8 @@ async function validateRepositoryAccess(repository) {
  */
 export async function listUserRepos(options = {}) {
   try {
-    // Get repositories from GitHub App installation
-    const installationRepos = await getInstallationRepositories();
+    // Get repositories from every GitHub App installation - the popup shows the current list
+    const installationRepos = await getAllInstallationRepositories({ refresh: true });
 
     // Format to match expected structure and filter non-archived
     return installationRepos
@@ -105,6 +132,7 @@ export async function listUserRepos(options = {}) {
         name: repo.name,
         full_name: repo.full_name,
         owner: { login: repo.owner.login },
+        installation_id: repo.installation_id,
         private: repo.private,
         default_branch: repo.default_branch,
         updated_at: repo.updated_at,
@@ -117,6 +145,105 @@ export async function listUserRepos(options = {}) {
   }
 }
 
+/**
+ * Create a repository for SPIKE projects under the installation's account
+ * The starter files are added by initializeRepository() once the repository is part of the installation
+ * @param {Object} params - Repository parameters
+ * @param {string} params.name - Repository name
+ * @param {string} [params.description] - Repository description
+ * @param {boolean} [params.isPrivate] - Create a private repository
+ * @returns {Promise<Object>} repository ("owner/repo"), url, needsAccess (user must add it to the installation)
+ *   and settingsUrl (installation settings page)
+ */
+export async function createRepository(params) {
+  const { name, description = '', isPrivate = true } = params;
+
+  const installation = await getInstallation();
+  if (!installation) {
+    throw new Error('No installation found. Please authenticate first.');
+  }
+
+  // Team installations live on an organization - create the repository there
+  const account = installation.account || {};
+  const endpoint = account.type === 'Organization' ? `/orgs/${account.login}/repos` : '/user/repos';
+
+  let repoData;
+  try {
+    repoData = await githubRequest(endpoint, {
+      method: 'POST',
+      body: JSON.stringify({ name, description, private: isPrivate, auto_init: false, has_wiki: false })
+    });
+  } catch (error) {
+    if (error.message.includes('(422 ')) {
+      throw new Error(`Repository "${name}" already exists or is not a valid repository name`);
+    }
+    throw error;
+  }
+
+  await chrome.storage.local.set({
+    [PENDING_REPOSITORY_KEY]: { repository: repoData.full_name, createdAt: Date.now() }
+  });
+
+  return {
+    repository: repoData.full_name,
+    url: repoData.html_url,
+    needsAccess: installation.repository_selection !== 'all',
+    settingsUrl: getInstallationSettingsUrl(installation)
+  };
+}
+
+/**
+ * Get the repository created from the popup that hasn't been set up yet
+ * @returns {Promise<string|null>} Repository in "owner/repo" format
+ */
+export async function getPendingRepository() {
+  const result = await chrome.storage.local.get(PENDING_REPOSITORY_KEY);
+  return result[PENDING_REPOSITORY_KEY]?.repository || null;
+}
+
+/**
+ * Commit the starter files to a new repository: a README, a .gitattributes
+ * that keeps Git from treating .llsp3 archives as text, and the project folder
+ * @param {string} repository - Repository in "owner/repo" format
+ * @returns {Promise<{branch: string, projectPath: string}>} Branch and project folder to select
+ */
+export async function initializeRepository(repository) {
+  await validateRepositoryAccess(repository);
+  const { owner, repo } = parseRepository(repository);
+  const branch = await getDefaultBranch(owner, repo);
+
+  const readme = [
+    `# ${repo}`,
+    '',
+    'LEGO SPIKE Prime projects, synced with [SpikePrimeGit](https://github.com/apps/spikeprimegit).',
+    '',
+    `Projects are saved in \`${STARTER_PROJECT_FOLDER}\` as \`.llsp3\` files. Readable source files`,
+    '(Python code, block scripts, project settings) are committed next to each one so changes show up in diffs.',
+    ''
+  ].join('\n');
+
+  const gitattributes = [
+    '# SPIKE Prime projects are zip archives - never diff or merge them as text',
+    '*.llsp3 binary',
+    ''
+  ].join('\n');
+
+  await commitFiles({
+    owner,
+    repo,
+    branch,
+    files: [
+      { path: 'README.md', content: readme },
+      { path: '.gitattributes', content: gitattributes },
+      { path: `${STARTER_PROJECT_FOLDER}.gitkeep`, content: '' }
+    ],
+    message: 'Set up repository for SpikePrimeGit'
+  });
+
+  await chrome.storage.local.remove(PENDING_REPOSITORY_KEY);
+  return { branch, projectPath: STARTER_PROJECT_FOLDER };
+}
+
 /**
  * Get branches for a repository
  * @param {string} owner - Repository owner
@@ -142,6 +269,87 @@ export async function getDefaultBranch(owner, repo) {
   return repoData.default_branch;
 }
 
+/**
+ * Create a branch pointing at the head of another branch
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - New branch name
+ * @param {string} fromBranch - Branch to start from
+ * @returns {Promise<string>} Commit SHA the new branch points at
+ * @throws {Error} If the branch already exists or the name is invalid
+ */
+export async function createBranch(owner, repo, branch, fromBranch) {
+  const gitBase = `/repos/${owner}/${repo}/git`;
+  const baseRef = await githubRequest(`${gitBase}/ref/heads/${fromBranch}`);
+
+  try {
+    await githubRequest(`${gitBase}/refs`, {
+      method: 'POST',
+      body: JSON.stringify({ ref: `refs/heads/${branch}`, sha: baseRef.object.sha })
+    });
+  } catch (error) {
+    if (error.message.includes('(422 ')) {
+      throw new Error(`Branch "${branch}" already exists or is not a valid branch name`);
+    }
+    throw error;
+  }
+
+  return baseRef.object.sha;
+}
+
+/**
+ * Name of a daily work branch, e.g. "session/2026-10-19-alex"
+ * @param {string} login - GitHub username
+ * @param {Date} [date] - Day of the session (local time)
+ * @returns {string} Branch name
+ */
+export function getSessionBranchName(login, date = new Date()) {
+  const day = [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+  const user = login.toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+  return `session/${day}-${user}`;
+}
+
+/**
+ * Get the branch to push to, creating today's session branch on the first sync of the day
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Selected branch (the session branch starts from it)
+ * @returns {Promise<string>} Session branch if session mode is on, otherwise the selected branch
+ */
+async function resolveSessionBranch(owner, repo, branch) {
+  const result = await chrome.storage.local.get(['user_settings', 'session_branch']);
+  if (!result.user_settings?.sessionBranches) {
+    return branch;
+  }
+
+  const user = await getAuthenticatedUser();
+  const name = getSessionBranchName(user.login);
+  const repository = `${owner}/${repo}`;
+
+  // Already created (or found) today - skip the lookup
+  const cached = result.session_branch;
+  if (cached && cached.name === name && cached.repository === repository && cached.baseBranch === branch) {
+    return name;
+  }
+
+  try {
+    await githubRequest(`/repos/${owner}/${repo}/git/ref/heads/${name}`);
+  } catch (error) {
+    if (!error.message.includes('(404 ')) {
+      throw error;
+    }
+    await createBranch(owner, repo, name, branch);
+    console.log(`[SpikePrimeGit API] Created session branch ${name} from ${branch}`);
+  }
+
+  await chrome.storage.local.set({ session_branch: { name, repository, baseBranch: branch } });
+  return name;
+}
+
 /**
  * Check if file exists at path and get its SHA
  * @param {string} owner - Repository owner
@@ -170,11 +378,63 @@ export async function getFileIfExists(owner, repo, path, branch) {
  */
 function arrayBufferToBase64(buffer) {
   const bytes = new Uint8Array(buffer);
-  let binary = '';
-  for (let i = 0; i < bytes.byteLength; i++) {
-    binary += String.fromCharCode(bytes[i]);
+  const chunks = [];
+  // Encode slice by slice (a multiple of 3 bytes) instead of building one huge binary string
+  for (let i = 0; i < bytes.byteLength; i += BASE64_SLICE_SIZE) {
+    chunks.push(btoa(String.fromCharCode.apply(null, bytes.subarray(i, i + BASE64_SLICE_SIZE))));
+  }
+  return chunks.join('');
+}
+
+/**
+ * Convert Base64 content returned by the GitHub API to an ArrayBuffer
+ * @param {string} base64 - Base64 string (may contain line breaks)
+ * @returns {ArrayBuffer} Decoded bytes
+ */
+function base64ToArrayBuffer(base64) {
+  const binary = atob(base64.replace(/\n/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+/**
+ * Compute the git blob SHA-1 of content, as GitHub reports it for files
+ * @param {ArrayBuffer} buffer - File content
+ * @returns {Promise<string>} Hex SHA-1
+ */
+async function computeBlobSha(buffer) {
+  const header = new TextEncoder().encode(`blob ${buffer.byteLength}\0`);
+  const data = await new Blob([header, buffer]).arrayBuffer();
+  const hash = await crypto.subtle.digest('SHA-1', data);
+  return Array.from(new Uint8Array(hash), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Check whether a captured project matches the file already on GitHub
+ * Byte-identical files are detected by blob SHA; otherwise the unpacked content is compared,
+ * since SPIKE re-zips with fresh timestamps on every save
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} existingFile - File data from getFileIfExists()
+ * @param {ArrayBuffer} zipContent - Captured project content
+ * @returns {Promise<boolean>} True if nothing changed
+ */
+async function isProjectUnchanged(owner, repo, existingFile, zipContent) {
+  if (await computeBlobSha(zipContent) === existingFile.sha) {
+    return true;
+  }
+
+  try {
+    const remoteContent = await getFileContent(owner, repo, existingFile);
+    return await getProjectFingerprint(remoteContent) === await getProjectFingerprint(zipContent);
+  } catch (error) {
+    // Unreadable archive on either side - treat as changed and let the push go ahead
+    console.warn('[SpikePrimeGit API] Could not compare project content:', error);
+    return false;
   }
-  return btoa(binary);
 }
 
 /**
@@ -213,6 +473,452 @@ export async function pushFile(params) {
   return result;
 }
 
+/**
+ * Format a byte count for messages
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size in MB
+ */
+function formatSize(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Make sure a file is within GitHub's hard size limit
+ * @param {string} path - File path in repository
+ * @param {number} size - File size in bytes
+ * @throws {Error} If the file is too large
+ */
+function assertFileSize(path, size) {
+  if (size > GITHUB_MAX_FILE_SIZE) {
+    throw new Error(
+      `"${path}" is ${formatSize(size)} - GitHub does not accept files over ${formatSize(GITHUB_MAX_FILE_SIZE)}. ` +
+      'Remove unused sounds or images from the project and try again.'
+    );
+  }
+}
+
+/**
+ * Create a blob in the repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {ArrayBuffer|Uint8Array} content - Blob content
+ * @returns {Promise<string>} Blob SHA
+ */
+async function createBlob(owner, repo, content) {
+  const blob = await githubRequest(`/repos/${owner}/${repo}/git/blobs`, {
+    method: 'POST',
+    body: JSON.stringify({
+      content: arrayBufferToBase64(content),
+      encoding: 'base64'
+    })
+  });
+  return blob.sha;
+}
+
+/**
+ * Commit several files at once through the Git Data API (blobs, tree, commit, ref update)
+ * An empty repository also gets a single commit: see the 409 case below
+ * @param {Object} params - Commit parameters
+ * @param {string} params.owner - Repository owner
+ * @param {string} params.repo - Repository name
+ * @param {string} params.branch - Branch name
+ * @param {Array<{path: string, content: ArrayBuffer|string}>} params.files - Files to write (strings as UTF-8)
+ * @param {string} params.message - Commit message
+ * @returns {Promise<{commitSha: string|null}>} New commit SHA, or null if no file changed
+ */
+export async function commitFiles(params) {
+  const { owner, repo, branch, files, message } = params;
+  const gitBase = `/repos/${owner}/${repo}/git`;
+  const encoder = new TextEncoder();
+  const toBytes = content => (typeof content === 'string' ? encoder.encode(content) : content);
+
+  let parentSha = null;
+  try {
+    const ref = await githubRequest(`${gitBase}/ref/heads/${branch}`);
+    parentSha = ref.object.sha;
+  } catch (error) {
+    // The Git Data API can't write to an empty repository - seed it with one file through the Contents API
+    // (the smallest, it can't take large ones), then replace that commit with a root commit of every file
+    if (!error.message.includes('(409 ') || files.length === 0) {
+      throw error;
+    }
+
+    const sizeOf = file => toBytes(file.content).byteLength;
+    const first = files.reduce((smallest, file) => (sizeOf(file) < sizeOf(smallest) ? file : smallest));
+    const result = await pushFile({ owner, repo, branch, path: first.path, content: toBytes(first.content), message });
+    if (files.length === 1) {
+      return { commitSha: result.commit.sha };
+    }
+  }
+
+  const parentCommit = parentSha ? await githubRequest(`${gitBase}/commits/${parentSha}`) : null;
+
+  files.forEach(file => assertFileSize(file.path, toBytes(file.content).byteLength));
+
+  const treeEntries = [];
+  for (const file of files) {
+    treeEntries.push({
+      path: file.path,
+      mode: '100644',
+      type: 'blob',
+      sha: await createBlob(owner, repo, toBytes(file.content))
+    });
+  }
+
+  const tree = await githubRequest(`${gitBase}/trees`, {
+    method: 'POST',
+    body: JSON.stringify(parentCommit ? { base_tree: parentCommit.tree.sha, tree: treeEntries } : { tree: treeEntries })
+  });
+
+  // Identical tree means every file already had this content
+  if (parentCommit && tree.sha === parentCommit.tree.sha) {
+    return { commitSha: null };
+  }
+
+  const commit = await githubRequest(`${gitBase}/commits`, {
+    method: 'POST',
+    body: JSON.stringify({ message, tree: tree.sha, parents: parentSha ? [parentSha] : [] })
+  });
+
+  // A root commit replaces the seed commit of an empty repository, which is not its parent
+  await githubRequest(`${gitBase}/refs/heads/${branch}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ sha: commit.sha, force: !parentSha })
+  });
+
+  return { commitSha: commit.sha };
+}
+
+/**
+ * Split "owner/repo" into its parts
+ * @param {string} repository - Repository in "owner/repo" format
+ * @returns {{owner: string, repo: string}}
+ * @throws {Error} If the format is invalid
+ */
+function parseRepository(repository) {
+  const [owner, repo] = (repository || '').split('/');
+  if (!owner || !repo) {
+    throw new Error(`Invalid repository format "${repository}". Expected "owner/repo"`);
+  }
+  return { owner, repo };
+}
+
+/**
+ * Get the configured project folder template
+ * @returns {Promise<string>} Folder without leading slash, with trailing slash (or empty for repo root)
+ */
+async function getProjectFolder() {
+  // Get user settings for project path
+  const settings = await chrome.storage.local.get('user_settings');
+  return normalizeFolder(settings.user_settings?.projectPath || 'projects/');
+}
+
+/**
+ * Resolve where a project and its readable sources live in the repository
+ * @param {Object} project - Project to place
+ * @param {string} project.projectName - Project name
+ * @param {ArrayBuffer} [project.zipContent] - Project content, read for the {type} placeholder
+ * @param {string} [project.projectPath] - Folder chosen by a routing rule (defaults to the project path setting)
+ * @param {boolean} [project.perProjectFolder] - Layout override (defaults to the projectFolders setting)
+ * @returns {Promise<Object>} filePath of the .llsp3 plus paths for getSourceFiles()
+ */
+async function resolveProjectPaths(project) {
+  const settings = await chrome.storage.local.get('user_settings');
+  const folder = project.projectPath === undefined ? await getProjectFolder() : project.projectPath;
+  const perProjectFolder = project.perProjectFolder ?? !!settings.user_settings?.projectFolders;
+
+  const values = { project: project.projectName };
+  if (usesUserPlaceholder(folder)) {
+    values.user = (await getAuthenticatedUser()).login;
+  }
+  if (folder.includes('{type}') && project.zipContent) {
+    try {
+      values.type = (await parseSpikeProject(project.zipContent)).type;
+    } catch (error) {
+      console.warn('[SpikePrimeGit API] Could not read project type:', error.message);
+    }
+  }
+
+  return buildProjectPaths(folder, values, perProjectFolder);
+}
+
+/**
+ * Download the raw content of a file returned by getFileIfExists()
+ * The Contents API omits content for files over 1 MB, so fall back to the blobs endpoint
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} file - File data from getFileIfExists()
+ * @returns {Promise<ArrayBuffer>} File content
+ */
+export async function getFileContent(owner, repo, file) {
+  let base64 = file.content;
+  if (!base64) {
+    const blob = await githubRequest(`/repos/${owner}/${repo}/git/blobs/${file.sha}`);
+    base64 = blob.content;
+  }
+  return base64ToArrayBuffer(base64);
+}
+
+/**
+ * Fixed part of a folder template, above any placeholder
+ * Placeholders and per-project folders spread projects over subfolders, so listings search below it
+ * @param {string} folder - Normalized folder template
+ * @returns {string}
+ */
+function getFolderPrefix(folder) {
+  const placeholderIndex = folder.indexOf('{');
+  return placeholderIndex === -1
+    ? folder
+    : folder.substring(0, folder.lastIndexOf('/', placeholderIndex) + 1);
+}
+
+/**
+ * Places projects can have been pushed to: the selected repository and branch, plus every
+ * destination and folder of the routing rules
+ * @param {string} repository - Selected repository in "owner/repo" format
+ * @param {string} branch - Selected branch
+ * @returns {Promise<Array<{repository: string, branch: string, prefixes: Array<string>}>>}
+ *   The selected repository and branch come first
+ */
+async function getProjectLocations(repository, branch) {
+  const settings = await chrome.storage.local.get('user_settings');
+  const rules = settings.user_settings?.routingRules || [];
+  const defaultFolder = await getProjectFolder();
+  const locations = [{ repository, branch, prefixes: [getFolderPrefix(defaultFolder)] }];
+
+  for (const rule of rules) {
+    const target = {
+      repository: rule.repository || repository,
+      branch: rule.branch || branch
+    };
+
+    let location = locations.find(l => l.repository === target.repository && l.branch === target.branch);
+    if (!location) {
+      location = { ...target, prefixes: [] };
+      locations.push(location);
+    }
+    const prefix = getFolderPrefix(rule.projectPath ? normalizeFolder(rule.projectPath) : defaultFolder);
+    if (!location.prefixes.includes(prefix)) {
+      location.prefixes.push(prefix);
+    }
+  }
+
+  return locations;
+}
+
+/**
+ * List .llsp3 projects below some folders of a branch
+ * @param {string} repository - Repository in "owner/repo" format
+ * @param {string} branch - Branch name
+ * @param {Array<string>} prefixes - Folder prefixes from getFolderPrefix()
+ * @returns {Promise<Array<Object>>} Projects, see listSpikeProjects()
+ */
+async function listProjectsAt(repository, branch, prefixes) {
+  await validateRepositoryAccess(repository);
+  const { owner, repo } = parseRepository(repository);
+
+  let tree;
+  try {
+    tree = await githubRequest(`/repos/${owner}/${repo}/git/trees/${branch}?recursive=1`);
+  } catch (error) {
+    // Missing branch or empty repository
+    if (error.message.includes('(404 ') || error.message.includes('(409 ')) {
+      return [];
+    }
+    throw error;
+  }
+
+  return tree.tree
+    .filter(item => item.type === 'blob' && item.path.endsWith('.llsp3') &&
+      prefixes.some(prefix => item.path.startsWith(prefix)))
+    .map(item => ({
+      name: item.path.split('/').pop().replace(/\.llsp3$/, ''),
+      path: item.path,
+      sha: item.sha,
+      size: item.size,
+      repository,
+      branch
+    }));
+}
+
+/**
+ * List .llsp3 projects in the configured project folder and wherever the routing rules push them
+ * @param {string} repository - Repository in "owner/repo" format
+ * @param {string} branch - Branch name
+ * @returns {Promise<Array<{name: string, path: string, sha: string, size: number, repository: string, branch: string}>>}
+ *   Open or download a project from its own repository and branch
+ */
+export async function listSpikeProjects(repository, branch) {
+  const locations = await getProjectLocations(repository, branch);
+  const projects = [];
+
+  for (const [index, location] of locations.entries()) {
+    try {
+      projects.push(...await listProjectsAt(location.repository, location.branch, location.prefixes));
+    } catch (error) {
+      // A rule pointing somewhere unreachable should not hide the selected repository's projects
+      if (index === 0) {
+        throw error;
+      }
+      console.warn(`[SpikePrimeGit API] Could not list projects in ${location.repository} (${location.branch}):`, error.message);
+    }
+  }
+
+  return projects.sort((a, b) => a.name.localeCompare(b.name) ||
+    a.repository.localeCompare(b.repository) || a.branch.localeCompare(b.branch));
+}
+
+/**
+ * Download a .llsp3 project from GitHub
+ * @param {string} repository - Repository in "owner/repo" format
+ * @param {string} ref - Branch name or commit SHA of a past revision
+ * @param {string} path - File path in repository
+ * @returns {Promise<{projectName: string, sha: string, content: ArrayBuffer}>}
+ */
+export async function downloadSpikeProject(repository, ref, path) {
+  await validateRepositoryAccess(repository);
+  const { owner, repo } = parseRepository(repository);
+
+  const file = await getFileIfExists(owner, repo, path, ref);
+  if (!file || Array.isArray(file)) {
+    throw new Error(`Project "${path}" not found at ${ref}`);
+  }
+
+  return {
+    projectName: file.name.replace(/\.llsp3$/, ''),
+    sha: file.sha,
+    content: await getFileContent(owner, repo, file)
+  };
+}
+
+/**
+ * Storage key for the version of a project the local copy is based on
+ * @param {string} repository - Repository in "owner/repo" format
+ * @param {string} branch - Branch name
+ * @param {string} filePath - Project file path
+ * @returns {string}
+ */
+function projectBaseKey(repository, branch, filePath) {
+  return `${repository}:${branch}:${filePath}`;
+}
+
+/**
+ * Get the blob SHA of the project version last synced or loaded on this computer
+ * @param {string} repository - Repository in "owner/repo" format
+ * @param {string} branch - Branch name
+ * @param {string} filePath - Project file path
+ * @returns {Promise<string|null>} Blob SHA, or null if the project was never synced or loaded here
+ */
+async function getProjectBase(repository, branch, filePath) {
+  const result = await chrome.storage.local.get('project_bases');
+  return (result.project_bases || {})[projectBaseKey(repository, branch, filePath)] || null;
+}
+
+/**
+ * Remember the project version the local copy is based on (after a sync or load)
+ * @param {string} repository - Repository in "owner/repo" format
+ * @param {string} branch - Branch name
+ * @param {string} filePath - Project file path
+ * @param {string} sha - Blob SHA of the .llsp3 on GitHub
+ */
+export async function setProjectBase(repository, branch, filePath, sha) {
+  const result = await chrome.storage.local.get('project_bases');
+  const bases = result.project_bases || {};
+  bases[projectBaseKey(repository, branch, filePath)] = sha;
+  await chrome.storage.local.set({ project_bases: bases });
+}
+
+/**
+ * Get the commits that touched a project file
+ * @param {string} repository - Repository in "owner/repo" format
+ * @param {string} branch - Branch name
+ * @param {string} path - File path in repository
+ * @param {number} limit - Maximum number of commits to return
+ * @returns {Promise<Array<Object>>} Commits with sha, message, author, date and url
+ */
+export async function getProjectHistory(repository, branch, path, limit = 30) {
+  await validateRepositoryAccess(repository);
+  const { owner, repo } = parseRepository(repository);
+
+  const params = new URLSearchParams({ sha: branch, path, per_page: String(limit) });
+  const commits = await githubRequest(`/repos/${owner}/${repo}/commits?${params}`);
+
+  return commits.map(commit => ({
+    sha: commit.sha,
+    // First line only - the rest is sync metadata
+    message: commit.commit.message.split('\n')[0],
+    author: commit.author?.login || commit.commit.author.name,
+    avatarUrl: commit.author?.avatar_url || null,
+    date: commit.commit.author.date,
+    url: commit.html_url
+  }));
+}
+
+/**
+ * Restore a past revision of a project by committing it again on the branch
+ * @param {Object} params - Restore parameters
+ * @param {string} params.repository - Repository in "owner/repo" format
+ * @param {string} params.branch - Branch name
+ * @param {string} params.path - File path in repository
+ * @param {string} params.commitSha - Commit of the revision to restore
+ * @returns {Promise<Object>} Result of pushSpikeProject()
+ */
+export async function restoreProjectRevision(params) {
+  const { repository, branch, path, commitSha } = params;
+
+  const revision = await downloadSpikeProject(repository, commitSha, path);
+  const { folder, perProjectFolder } = parseProjectPath(path);
+
+  // Restoring is an explicit choice to replace whatever is on the branch - in place, whatever the routing rules say
+  const { projects, ...result } = await pushProjectsToBranch({
+    repository,
+    branch,
+    projects: [{
+      projectName: revision.projectName,
+      zipContent: revision.content,
+      projectPath: folder,
+      perProjectFolder
+    }],
+    commitMessage: `Restore revision ${commitSha.substring(0, 7)}`,
+    onConflict: 'overwrite',
+    exactBranch: true
+  });
+
+  return { ...result, ...projects[0] };
+}
+
+/**
+ * Compare a captured project with the version on GitHub
+ * @param {Object} params - Diff parameters
+ * @param {string} params.repository - Repository in "owner/repo" format
+ * @param {string} params.branch - Branch name
+ * @param {string} params.projectName - Project name (for file path)
+ * @param {ArrayBuffer} params.zipContent - Captured ZIP file content
+ * @returns {Promise<Object>} Semantic diff (see diffProjects()) plus the compared filePath
+ */
+export async function diffSpikeProject(params) {
+  const { projectName, zipContent } = params;
+
+  // Compare against the copy the routing rules would push to
+  const [route] = await routeProjects(params.repository, params.branch, [{ projectName, zipContent }]);
+  const { repository, branch } = route;
+
+  await validateRepositoryAccess(repository);
+  const { owner, repo } = parseRepository(repository);
+  const { filePath } = await resolveProjectPaths(route.projects[0]);
+
+  const existingFile = await getFileIfExists(owner, repo, filePath, branch);
+  const remoteProject = existingFile
+    ? await parseSpikeProject(await getFileContent(owner, repo, existingFile))
+    : null;
+  const localProject = await parseSpikeProject(zipContent);
+
+  return {
+    filePath,
+    ...diffProjects(remoteProject, localProject)
+  };
+}
+
 /**
  * Push SPIKE Prime project to GitHub
  * @param {Object} params - Push parameters
@@ -220,75 +926,540 @@ export async function pushFile(params) {
  * @param {string} params.branch - Branch name
  * @param {string} params.projectName - Project name (for file path)
  * @param {ArrayBuffer} params.zipContent - ZIP file content
- * @returns {Promise<Object>} Result with commit SHA and file URL
+ * @param {string} [params.onConflict] - How to resolve a conflict, see pushProjectsToBranch()
+ * @returns {Promise<Object>} Result with commit SHA and file URL (action is 'unchanged' and
+ *   commitSha null when the project already matches GitHub)
  */
 export async function pushSpikeProject(params) {
-  const { repository, branch, projectName, zipContent, commitMessage } = params;
+  const { repository, branch, projectName, zipContent, commitMessage, onConflict, exactBranch } = params;
+
+  const { projects, ...result } = await pushSpikeProjects({
+    repository,
+    branch,
+    projects: [{ projectName, zipContent }],
+    commitMessage,
+    onConflict,
+    exactBranch
+  });
+
+  return { ...result, ...projects[0] };
+}
+
+/**
+ * Group projects by the repository and branch the routing rules send them to
+ * @param {string} repository - Selected repository in "owner/repo" format
+ * @param {string} branch - Selected branch
+ * @param {Array<{projectName: string, zipContent: ArrayBuffer}>} projects - Projects to route
+ * @returns {Promise<Array<Object>>} {repository, branch, projects} per destination, in rule order of
+ *   first use; projects carry the projectPath of their rule (undefined = project path setting)
+ */
+async function routeProjects(repository, branch, projects) {
+  const settings = await chrome.storage.local.get('user_settings');
+  const rules = settings.user_settings?.routingRules || [];
+  const needsType = rules.some(rule => rule.match === 'type');
+  const routes = [];
+
+  for (const project of projects) {
+    let projectType = null;
+    if (needsType) {
+      try {
+        projectType = (await parseSpikeProject(project.zipContent)).type;
+      } catch (error) {
+        console.warn('[SpikePrimeGit API] Could not read project type:', error.message);
+      }
+    }
+
+    const rule = findRoute(rules, { projectName: project.projectName, projectType });
+    const target = {
+      repository: rule?.repository || repository,
+      branch: rule?.branch || branch
+    };
+
+    let route = routes.find(r => r.repository === target.repository && r.branch === target.branch);
+    if (!route) {
+      route = { ...target, projects: [] };
+      routes.push(route);
+    }
+    route.projects.push({ ...project, projectPath: rule?.projectPath || undefined });
+  }
+
+  return routes;
+}
+
+/**
+ * Push SPIKE Prime projects to GitHub, following the routing rules
+ * Projects for the same repository and branch share one commit
+ * @param {Object} params - Push parameters, see pushProjectsToBranch()
+ * @returns {Promise<Object>} Result of pushProjectsToBranch(), with repository, branch and commitSha per project.
+ *   When projects go to several places, commitSha is the last commit made and repository/branch are
+ *   the selected ones. A conflict in any destination stops there and is returned as is.
+ */
+export async function pushSpikeProjects(params) {
+  const routes = await routeProjects(params.repository, params.branch, params.projects);
+
+  const results = [];
+  for (const route of routes) {
+    const result = await pushProjectsToBranch({ ...params, ...route });
+    if (result.conflict) {
+      return { ...result, repository: route.repository };
+    }
+    results.push({
+      ...result,
+      projects: result.projects.map(project => ({
+        ...project,
+        repository: route.repository,
+        branch: result.branch,
+        commitSha: result.commitSha
+      }))
+    });
+  }
+
+  if (results.length === 1) {
+    return { ...results[0], repository: routes[0].repository };
+  }
+
+  return {
+    commitSha: results.map(result => result.commitSha).filter(Boolean).pop() || null,
+    repository: params.repository,
+    branch: params.branch,
+    projects: results.flatMap(result => result.projects)
+  };
+}
+
+/**
+ * Push several SPIKE Prime projects to one repository and branch in a single commit
+ * @param {Object} params - Push parameters
+ * @param {string} params.repository - Repository in "owner/repo" format
+ * @param {string} params.branch - Branch name
+ * @param {Array<Object>} params.projects - Projects to push: {projectName, zipContent, projectPath,
+ *   perProjectFolder}, see resolveProjectPaths()
+ * @param {string} params.commitMessage - Commit message written by the user
+ * @param {string} [params.onConflict] - What to do when a project changed on GitHub since it was last
+ *   synced or loaded here: 'overwrite', 'copy' (save it under a new name) or 'branch' (push everything
+ *   to params.newBranch). Without it, nothing is committed and the conflicts are returned.
+ * @param {string} [params.newBranch] - Branch to create for the 'branch' resolution
+ * @param {boolean} [params.exactBranch] - Push to params.branch even if daily session branches are enabled
+ * @returns {Promise<Object>} commitSha (null if nothing changed), the branch committed to and per-project
+ *   {projectName, filePath, fileUrl, action, sourceFiles}; or {conflict: true, conflicts} if unresolved
+ * @throws {Error} If two projects would be written to the same file
+ */
+async function pushProjectsToBranch(params) {
+  const { repository, projects, commitMessage, onConflict, newBranch, exactBranch } = params;
+  let { branch } = params;
 
   // Validate repository access FIRST - GitHub App only has access to specific repos
   await validateRepositoryAccess(repository);
 
-  // Parse repository owner and name
-  const [owner, repo] = repository.split('/');
-  if (!owner || !repo) {
-    throw new Error(`Invalid repository format "${repository}". Expected "owner/repo"`);
+  const { owner, repo } = parseRepository(repository);
+
+  // In session mode every day's work goes to its own branch, started from the selected one
+  if (!exactBranch) {
+    branch = await resolveSessionBranch(owner, repo, branch);
   }
 
-  // Get user settings for project path
-  const settings = await chrome.storage.local.get('user_settings');
-  let projectPath = settings.user_settings?.projectPath || 'projects/';
+  // Someone else pushed since this computer last synced or loaded the project
+  const conflicts = await findConflicts(owner, repo, repository, branch, projects);
+  if (conflicts.length > 0 && !onConflict) {
+    return { conflict: true, commitSha: null, branch, conflicts, projects: [] };
+  }
 
-  projectPath = projectPath.trim();
-  if (projectPath.startsWith('/')) {
-    projectPath = projectPath.substring(1);
+  let pushProjects = projects;
+  if (conflicts.length > 0 && onConflict === 'copy') {
+    const stamp = new Date().toISOString().slice(0, 16).replace('T', ' ').replace(':', '-');
+    pushProjects = projects.map(project => (
+      conflicts.some(conflict => conflict.projectName === project.projectName)
+        ? { ...project, projectName: `${project.projectName} copy ${stamp}` }
+        : project
+    ));
+  } else if (conflicts.length > 0 && onConflict === 'branch') {
+    if (!newBranch) {
+      throw new Error('Enter a name for the new branch');
+    }
+    await createBranch(owner, repo, newBranch, branch);
+    branch = newBranch;
   }
-  if (projectPath && !projectPath.endsWith('/')) {
-    projectPath += '/';
+
+  const prepared = [];
+  for (const project of pushProjects) {
+    const { projectName, zipContent } = project;
+    const { filePath, ...sourcePaths } = await resolveProjectPaths(project);
+    assertFileSize(filePath, zipContent.byteLength);
+    if (prepared.some(project => project.filePath === filePath)) {
+      throw new Error(`Two selected projects would both be saved as "${filePath}"`);
+    }
+
+    const existingFile = await getFileIfExists(owner, repo, filePath, branch);
+
+    // Skip no-op commits from repeated saves and auto-sync
+    const unchanged = existingFile && await isProjectUnchanged(owner, repo, existingFile, zipContent);
+
+    prepared.push({
+      projectName,
+      filePath,
+      existingFile,
+      // Version on GitHub once this push is done
+      baseSha: unchanged ? existingFile.sha : await computeBlobSha(zipContent),
+      action: unchanged ? 'unchanged' : existingFile ? 'Update' : 'Add',
+      // The .llsp3 together with its readable sources (plus .py export or block listing)
+      files: unchanged ? [] : [{ path: filePath, content: zipContent }, ...await buildSourceFiles(zipContent, sourcePaths)]
+    });
   }
 
-  const sanitizedName = projectName.replace(/[^a-zA-Z0-9-_]/g, '_');
-  const filePath = `${projectPath}${sanitizedName}.llsp3`;
+  const unchangedResult = project => ({
+    projectName: project.projectName,
+    filePath: project.filePath,
+    fileUrl: project.existingFile?.html_url || null,
+    action: 'unchanged',
+    sourceFiles: []
+  });
 
-  const existingFile = await getFileIfExists(owner, repo, filePath, branch);
+  // Whatever happens next, the local copy now matches GitHub for every project that is pushed or unchanged
+  const recordBases = async () => {
+    for (const project of prepared) {
+      await setProjectBase(repository, branch, project.filePath, project.baseSha);
+    }
+  };
+
+  const changed = prepared.filter(project => project.action !== 'unchanged');
+  if (changed.length === 0) {
+    await recordBases();
+    return { commitSha: null, branch, projects: prepared.map(unchangedResult) };
+  }
 
   const timestamp = new Date().toISOString();
-  const action = existingFile ? 'Update' : 'Add';
 
   // Use user-provided commit message with metadata appended
-  const fullCommitMessage = `${action} SPIKE project: ${projectName}
+  const summary = changed.length === 1
+    ? `${changed[0].action} SPIKE project: ${changed[0].projectName}`
+    : `Sync ${changed.length} SPIKE projects`;
+  const projectList = changed.length === 1
+    ? ''
+    : `\n${changed.map(project => `- ${project.action} ${project.projectName}`).join('\n')}\n`;
+  const fullCommitMessage = `${summary}
 
 ${commitMessage}
-
+${projectList}
 ---
 Synced from LEGO SPIKE Prime web editor
 Timestamp: ${timestamp}`;
 
-  // Push file
-  const result = await pushFile({
+  const { commitSha } = await commitFiles({
     owner,
     repo,
     branch,
-    path: filePath,
-    content: zipContent,
-    message: fullCommitMessage,
-    sha: existingFile?.sha
+    files: changed.flatMap(project => project.files),
+    message: fullCommitMessage
   });
 
+  await recordBases();
+
+  if (!commitSha) {
+    return { commitSha: null, branch, projects: prepared.map(unchangedResult) };
+  }
+
   // Store sync history
-  await storeSyncHistory({
-    timestamp: Date.now(),
-    projectName: projectName,
-    repository: repository,
-    branch: branch,
-    filePath: filePath,
-    commitSha: result.commit.sha,
-    success: true
+  for (const project of changed) {
+    await storeSyncHistory({
+      timestamp: Date.now(),
+      projectName: project.projectName,
+      repository: repository,
+      branch: branch,
+      filePath: project.filePath,
+      commitSha: commitSha,
+      success: true
+    });
+  }
+
+  return {
+    commitSha: commitSha,
+    branch,
+    projects: prepared.map(project => (project.action === 'unchanged' ? unchangedResult(project) : {
+      projectName: project.projectName,
+      filePath: project.filePath,
+      fileUrl: `https://github.com/${owner}/${repo}/blob/${encodeURI(`${branch}/${project.filePath}`)}`,
+      action: project.action.toLowerCase(),
+      sourceFiles: project.files.slice(1).map(file => file.path)
+    }))
+  };
+}
+
+/**
+ * Find projects that changed on GitHub since they were last synced or loaded on this computer
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} repository - Repository in "owner/repo" format
+ * @param {string} branch - Branch name
+ * @param {Array<Object>} projects - Projects about to be pushed, see resolveProjectPaths()
+ * @returns {Promise<Array<Object>>} Conflicts with projectName, filePath and the latest remote commit
+ */
+async function findConflicts(owner, repo, repository, branch, projects) {
+  const conflicts = [];
+
+  for (const project of projects) {
+    const { projectName, zipContent } = project;
+    const { filePath } = await resolveProjectPaths(project);
+    const baseSha = await getProjectBase(repository, branch, filePath);
+    if (!baseSha) continue; // Never synced or loaded here - nothing to compare against
+
+    const existingFile = await getFileIfExists(owner, repo, filePath, branch);
+    if (!existingFile || existingFile.sha === baseSha) continue;
+
+    // Same content as the remote change (e.g. already pushed from here) - not a conflict
+    if (await isProjectUnchanged(owner, repo, existingFile, zipContent)) continue;
+
+    const [latestCommit] = await getProjectHistory(repository, branch, filePath, 1);
+    conflicts.push({
+      projectName,
+      filePath,
+      baseSha,
+      remoteSha: existingFile.sha,
+      remoteCommit: latestCommit || null
+    });
+  }
+
+  return conflicts;
+}
+
+/**
+ * Unpack a project into its readable source files
+ * @param {ArrayBuffer} zipContent - Project ZIP content
+ * @param {Object} paths - Source locations, see getSourceFiles()
+ * @returns {Promise<Array<{path: string, content: string}>>} Files to commit (empty if unreadable)
+ */
+async function buildSourceFiles(zipContent, paths) {
+  try {
+    const project = await parseSpikeProject(zipContent);
+    return getSourceFiles(project, paths);
+  } catch (error) {
+    // Still commit the .llsp3 itself - don't fail the sync over unreadable contents
+    console.warn('[SpikePrimeGit API] Could not unpack project sources:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the part of a sync commit message the user wrote
+ * @param {string} message - Full commit message
+ * @returns {string} User message, or the first line for commits made elsewhere
+ */
+function getUserCommitMessage(message) {
+  // Sync commits: "<Action> SPIKE project: <name>\n\n<user message>\n\n---\nSynced from ..."
+  const [content] = message.split('\n---\n');
+  const paragraphs = content.trim().split('\n\n');
+  if (paragraphs.length > 1 && /SPIKE projects?:?/.test(paragraphs[0])) {
+    return paragraphs.slice(1).join('\n\n').trim();
+  }
+  return paragraphs[0].split('\n')[0];
+}
+
+/**
+ * Summarize the review state of a pull request
+ * @param {Object} pullRequest - Pull request from the GitHub API
+ * @param {Array<Object>} reviews - Its reviews
+ * @returns {string} 'merged', 'closed', 'approved', 'changes_requested' or 'review_pending'
+ */
+function getReviewStatus(pullRequest, reviews) {
+  if (pullRequest.merged_at) return 'merged';
+  if (pullRequest.state === 'closed') return 'closed';
+
+  // Only each reviewer's latest verdict counts
+  const latest = new Map();
+  reviews
+    .filter(review => review.state === 'APPROVED' || review.state === 'CHANGES_REQUESTED')
+    .forEach(review => latest.set(review.user?.login, review.state));
+
+  const states = [...latest.values()];
+  if (states.includes('CHANGES_REQUESTED')) return 'changes_requested';
+  if (states.includes('APPROVED')) return 'approved';
+  return 'review_pending';
+}
+
+/**
+ * Get the pull request for a branch, or a draft for opening one
+ * @param {string} repository - Repository in "owner/repo" format
+ * @param {string} branch - Branch that was pushed to
+ * @returns {Promise<Object>} defaultBranch, pullRequest ({number, title, url, reviewStatus} or null)
+ *   and draft ({title, body, commitCount} or null) when the branch has commits but no pull request
+ */
+export async function getPullRequestInfo(repository, branch) {
+  await validateRepositoryAccess(repository);
+  const { owner, repo } = parseRepository(repository);
+  const defaultBranch = await getDefaultBranch(owner, repo);
+
+  if (branch === defaultBranch) {
+    return { defaultBranch, pullRequest: null, draft: null };
+  }
+
+  // Most recent pull request from this branch (open ones first)
+  const params = new URLSearchParams({ head: `${owner}:${branch}`, state: 'all', sort: 'created', direction: 'desc' });
+  const pullRequests = await githubRequest(`/repos/${owner}/${repo}/pulls?${params}`);
+  const pullRequest = pullRequests.find(pr => pr.state === 'open') || pullRequests[0];
+
+  if (pullRequest && pullRequest.state === 'open') {
+    const reviews = await githubRequest(`/repos/${owner}/${repo}/pulls/${pullRequest.number}/reviews`);
+    return {
+      defaultBranch,
+      pullRequest: {
+        number: pullRequest.number,
+        title: pullRequest.title,
+        url: pullRequest.html_url,
+        reviewStatus: getReviewStatus(pullRequest, reviews)
+      },
+      draft: null
+    };
+  }
+
+  // Commits since the branch point become the description
+  const comparison = await githubRequest(`/repos/${owner}/${repo}/compare/${defaultBranch}...${branch}`);
+  const messages = comparison.commits.map(commit => getUserCommitMessage(commit.commit.message));
+
+  return {
+    defaultBranch,
+    pullRequest: pullRequest ? {
+      number: pullRequest.number,
+      title: pullRequest.title,
+      url: pullRequest.html_url,
+      reviewStatus: getReviewStatus(pullRequest, [])
+    } : null,
+    draft: messages.length === 0 ? null : {
+      title: messages.length === 1 ? messages[0].split('\n')[0] : `Changes from ${branch}`,
+      body: messages.map(message => `- ${message.replace(/\n/g, '\n  ')}`).join('\n'),
+      commitCount: messages.length
+    }
+  };
+}
+
+/**
+ * Open a pull request from a branch into the default branch
+ * @param {Object} params - Pull request parameters
+ * @param {string} params.repository - Repository in "owner/repo" format
+ * @param {string} params.branch - Branch with the changes
+ * @param {string} params.title - Pull request title
+ * @param {string} params.body - Pull request description
+ * @returns {Promise<Object>} {number, title, url, reviewStatus}
+ */
+export async function createPullRequest(params) {
+  const { repository, branch, title, body } = params;
+
+  await validateRepositoryAccess(repository);
+  const { owner, repo } = parseRepository(repository);
+  const defaultBranch = await getDefaultBranch(owner, repo);
+
+  const pullRequest = await githubRequest(`/repos/${owner}/${repo}/pulls`, {
+    method: 'POST',
+    body: JSON.stringify({ title, body, head: branch, base: defaultBranch })
   });
 
   return {
-    commitSha: result.commit.sha,
-    fileUrl: result.content.html_url,
-    action: action.toLowerCase()
+    number: pullRequest.number,
+    title: pullRequest.title,
+    url: pullRequest.html_url,
+    reviewStatus: 'review_pending'
+  };
+}
+
+/**
+ * Tag a synced commit and publish it as a GitHub Release with the projects attached
+ * @param {Object} params - Release parameters
+ * @param {string} params.repository - Repository in "owner/repo" format
+ * @param {string} params.commitSha - Commit to tag
+ * @param {Array<string>} params.paths - .llsp3 files in that commit to attach
+ * @param {string} params.tagName - Name of the new tag
+ * @param {string} [params.name] - Release title (defaults to the tag name)
+ * @param {string} [params.notes] - Release notes (defaults to the commit message)
+ * @returns {Promise<Object>} Release, see listReleases()
+ */
+export async function createProjectRelease(params) {
+  const { repository, commitSha, paths, tagName, name } = params;
+
+  await validateRepositoryAccess(repository);
+  const { owner, repo } = parseRepository(repository);
+
+  let { notes } = params;
+  if (!notes) {
+    const commit = await githubRequest(`/repos/${owner}/${repo}/commits/${commitSha}`);
+    notes = getUserCommitMessage(commit.commit.message);
+  }
+
+  // Creating the release creates the tag on the given commit
+  let release;
+  try {
+    release = await githubRequest(`/repos/${owner}/${repo}/releases`, {
+      method: 'POST',
+      body: JSON.stringify({
+        tag_name: tagName,
+        target_commitish: commitSha,
+        name: name || tagName,
+        body: `${notes}\n\n---\nProjects: ${paths.map(path => `\`${path}\``).join(', ')}\nCommit: ${commitSha}`
+      })
+    });
+  } catch (error) {
+    if (error.message.includes('(422 ')) {
+      throw new Error(`Tag "${tagName}" already exists or is not a valid tag name`);
+    }
+    throw error;
+  }
+
+  // upload_url is a URI template: https://uploads.github.com/.../assets{?name,label}
+  const uploadUrl = release.upload_url.replace(/\{.*\}$/, '');
+  const assets = [];
+  try {
+    for (const path of paths) {
+      const project = await downloadSpikeProject(repository, commitSha, path);
+      assets.push(await githubRequest(`${uploadUrl}?name=${encodeURIComponent(`${project.projectName}.llsp3`)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: project.content
+      }));
+    }
+  } catch (error) {
+    // A release without all its projects is not what was asked for - take it back so the tag can be reused
+    try {
+      await githubRequest(`/repos/${owner}/${repo}/releases/${release.id}`, { method: 'DELETE' });
+      await githubRequest(`/repos/${owner}/${repo}/git/refs/tags/${tagName}`, { method: 'DELETE' });
+    } catch (cleanupError) {
+      console.error('[SpikePrimeGit API] Could not remove incomplete release:', cleanupError);
+      throw new Error(`Release "${tagName}" is missing projects (${error.message}). ` +
+        `Remove it on GitHub before trying again: ${release.html_url}`);
+    }
+    throw new Error(`Could not attach the projects to release "${tagName}", so it was removed: ${error.message}`);
+  }
+
+  return formatRelease({ ...release, assets });
+}
+
+/**
+ * List the repository's releases, newest first
+ * @param {string} repository - Repository in "owner/repo" format
+ * @param {number} [limit] - Maximum number of releases
+ * @returns {Promise<Array<Object>>} Releases, see formatRelease()
+ */
+export async function listReleases(repository, limit = 20) {
+  await validateRepositoryAccess(repository);
+  const { owner, repo } = parseRepository(repository);
+
+  const releases = await githubRequest(`/repos/${owner}/${repo}/releases?per_page=${limit}`);
+  return releases.map(formatRelease);
+}
+
+/**
+ * Keep the release fields the extension shows
+ * @param {Object} release - Release from the GitHub API
+ * @returns {Object} name, tagName, notes, date, url and assets ({name, size, downloadUrl})
+ */
+function formatRelease(release) {
+  return {
+    name: release.name || release.tag_name,
+    tagName: release.tag_name,
+    // Notes without the project/commit footer
+    notes: (release.body || '').split('\n---\n')[0].trim(),
+    date: release.published_at || release.created_at,
+    url: release.html_url,
+    assets: (release.assets || []).map(asset => ({
+      name: asset.name,
+      size: asset.size,
+      downloadUrl: asset.browser_download_url
+    }))
   };
 }
 
@@ -309,6 +1480,25 @@ async function storeSyncHistory(syncRecord) {
   await chrome.storage.local.set({ sync_history: history });
 }
 
+/**
+ * Record a sync that failed before anything reached GitHub
+ * @param {Object} params - Failure details
+ * @param {string} params.projectName - Project, or a label when it isn't known
+ * @param {string} params.repository - Repository in "owner/repo" format
+ * @param {string} params.branch - Branch name
+ * @param {string} params.error - What went wrong
+ */
+export async function recordSyncFailure(params) {
+  await storeSyncHistory({
+    timestamp: Date.now(),
+    projectName: params.projectName,
+    repository: params.repository,
+    branch: params.branch,
+    error: params.error,
+    success: false
+  });
+}
+
 /**
  * Get sync history
  * @param {number} limit - Maximum number of records to return
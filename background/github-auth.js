@@ -1,24 +1,61 @@
 /**
  * GitHub App Authentication Module
  * Implements GitHub App installation flow with repository-specific access
+ * Signs in with the OAuth device flow by default (no client secret in the bundle);
+ * the web flow remains available for self-hosted apps configured with their own secret
  */
 
 import { generateState } from '../lib/pkce.js';
+import { PBKDF2_ITERATIONS, generateSalt, deriveKey, encryptJson, decryptJson } from '../lib/pin-crypto.js';
 
 const STORAGE_KEYS = {
   TOKENS: 'github_tokens',
   AUTH_STATE: 'auth_state',
   INSTALLATION: 'github_installation',
   CLIENT_ID: 'github_client_id',
-  CLIENT_SECRET: 'github_client_secret'
+  CLIENT_SECRET: 'github_client_secret',
+  AUTH_FLOW: 'github_auth_flow',
+  DEVICE_FLOW: 'device_flow',
+  UNLOCKED_KEYS: 'unlocked_keys', // chrome.storage.session only: {salt: key} of PIN-protected tokens
+  SESSION_EXPIRED: 'session_expired',
+  PIN_ATTEMPTS: 'pin_attempts' // {failures, lockedUntil} - wrong PINs since the last unlock
 };
 
+export const LOCKED_ERROR = 'SpikePrimeGit is locked. Enter your PIN to unlock it.';
+export const SESSION_EXPIRED_ERROR = 'Your GitHub session expired. Please reconnect.';
+
+const MIN_PIN_LENGTH = 4;
+
+// Wrong PINs allowed before unlocking pauses; each further wrong PIN doubles the pause
+const FREE_PIN_ATTEMPTS = 3;
+const PIN_LOCKOUT_BASE = 30 * 1000;
+const PIN_LOCKOUT_MAX = 15 * 60 * 1000;
+
 const TOKEN_REFRESH_THRESHOLD = 5 * 60 * 1000;
 
-// GitHub App credentials (to be replaced with actual values)
-// After creating GitHub App at https://github.com/settings/apps/new
+// GitHub App client ID - public, the device flow needs no secret
+// After creating GitHub App at https://github.com/settings/apps/new (with "Enable Device Flow" checked)
 const GITHUB_APP_CLIENT_ID = 'Iv23li5u3EhSyZ8px0hQ'; // GitHub App Client ID (Iv1.xxxx)
-const GITHUB_APP_CLIENT_SECRET = '987c47405aff44323aa2fe7f1c0fb1251403866f'; // GitHub App Client Secret
+
+const DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+
+/**
+ * fetch() that marks requests which never reached GitHub (offline, DNS, connection reset)
+ * so they can be told apart from errors in the request or in our own code
+ * @param {string} url - Request URL
+ * @param {Object} [options] - fetch() options
+ * @returns {Promise<Response>}
+ * @throws {Error} Named NetworkError if GitHub could not be reached
+ */
+export async function fetchGitHub(url, options) {
+  try {
+    return await fetch(url, options);
+  } catch (error) {
+    const networkError = new Error(`Could not reach GitHub: ${error.message}`);
+    networkError.name = 'NetworkError';
+    throw networkError;
+  }
+}
 
 export function getRedirectURI() {
   return chrome.identity.getRedirectURL();
@@ -30,6 +67,7 @@ export function getRedirectURI() {
  * @param {string} tokens.accessToken - Access token
  * @param {string} tokens.refreshToken - Refresh token
  * @param {number} tokens.expiresIn - Expiry time in seconds
+ * @param {number|null} [tokens.refreshTokenExpiresIn] - Refresh token expiry time in seconds
  * @param {string} tokens.scope - Token scope
  */
 async function storeTokens(tokens) {
@@ -38,46 +76,281 @@ async function storeTokens(tokens) {
     accessToken: tokens.accessToken,
     refreshToken: tokens.refreshToken,
     expiresAt: expiresAt,
+    refreshTokenExpiresAt: tokens.refreshTokenExpiresIn ? Date.now() + (tokens.refreshTokenExpiresIn * 1000) : null,
     scope: tokens.scope
   };
+
+  // PIN-protected tokens stay protected: encrypt the new ones with the unlocked key
+  const stored = await getStoredTokens();
+  if (stored?.encrypted) {
+    const rawKey = await getUnlockedKey(stored.salt);
+    if (!rawKey) {
+      throw new Error(LOCKED_ERROR);
+    }
+    const encrypted = await encryptJson(rawKey, { salt: stored.salt, iterations: stored.iterations }, tokenData);
+    await chrome.storage.local.set({ [STORAGE_KEYS.TOKENS]: encrypted });
+    return;
+  }
+
   await chrome.storage.local.set({ [STORAGE_KEYS.TOKENS]: tokenData });
 }
 
+/**
+ * Get tokens as stored - encrypted if the user set a PIN
+ * @returns {Promise<Object|null>}
+ */
+async function getStoredTokens() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.TOKENS);
+  return result[STORAGE_KEYS.TOKENS] || null;
+}
+
+/**
+ * Get the key that unlocks PIN-protected tokens
+ * Unlocked keys live in chrome.storage.session only: never written to disk, gone when the browser closes
+ * and out of reach of content scripts
+ * @param {string} salt - Salt of the encrypted tokens
+ * @returns {Promise<string|null>} Key, or null while locked
+ */
+async function getUnlockedKey(salt) {
+  const result = await chrome.storage.session.get(STORAGE_KEYS.UNLOCKED_KEYS);
+  return (result[STORAGE_KEYS.UNLOCKED_KEYS] || {})[salt] || null;
+}
+
+/**
+ * Remember or forget the key for PIN-protected tokens for this browser session
+ * @param {string} salt - Salt of the encrypted tokens
+ * @param {string|null} rawKey - Key, or null to forget it
+ */
+async function setUnlockedKey(salt, rawKey) {
+  const result = await chrome.storage.session.get(STORAGE_KEYS.UNLOCKED_KEYS);
+  const keys = result[STORAGE_KEYS.UNLOCKED_KEYS] || {};
+  if (rawKey) {
+    keys[salt] = rawKey;
+  } else {
+    delete keys[salt];
+  }
+  await chrome.storage.session.set({ [STORAGE_KEYS.UNLOCKED_KEYS]: keys });
+}
+
 /**
  * Get stored tokens
  * @returns {Promise<Object|null>} Token data or null
+ * @throws {Error} If the tokens are protected by a PIN that hasn't been entered this session
  */
 export async function getTokens() {
-  const result = await chrome.storage.local.get(STORAGE_KEYS.TOKENS);
-  return result[STORAGE_KEYS.TOKENS] || null;
+  const stored = await getStoredTokens();
+  if (!stored || !stored.encrypted) {
+    return stored;
+  }
+
+  const rawKey = await getUnlockedKey(stored.salt);
+  if (!rawKey) {
+    throw new Error(LOCKED_ERROR);
+  }
+  return await decryptJson(rawKey, stored);
+}
+
+/**
+ * Check whether the tokens are protected by a PIN
+ * @returns {Promise<boolean>}
+ */
+export async function hasPin() {
+  const stored = await getStoredTokens();
+  return Boolean(stored?.encrypted);
+}
+
+/**
+ * Check whether the PIN has to be entered before GitHub can be used
+ * @returns {Promise<boolean>}
+ */
+export async function isLocked() {
+  const stored = await getStoredTokens();
+  return Boolean(stored?.encrypted) && !(await getUnlockedKey(stored.salt));
+}
+
+/**
+ * Protect the stored tokens with a PIN (or change the PIN)
+ * @param {string} pin - New PIN
+ * @throws {Error} If the PIN is too short, nobody is signed in or the current PIN hasn't been entered
+ */
+export async function setPin(pin) {
+  if (!pin || pin.length < MIN_PIN_LENGTH) {
+    throw new Error(`The PIN needs at least ${MIN_PIN_LENGTH} characters`);
+  }
+
+  const tokens = await getTokens();
+  if (!tokens) {
+    throw new Error('Connect to GitHub before setting a PIN');
+  }
+
+  const stored = await getStoredTokens();
+  const salt = generateSalt();
+  const iterations = PBKDF2_ITERATIONS;
+  const rawKey = await deriveKey(pin, salt, iterations);
+  await chrome.storage.local.set({ [STORAGE_KEYS.TOKENS]: await encryptJson(rawKey, { salt, iterations }, tokens) });
+
+  if (stored.encrypted) {
+    await setUnlockedKey(stored.salt, null);
+  }
+  await setUnlockedKey(salt, rawKey);
+}
+
+/**
+ * Store the tokens without a PIN again
+ * @throws {Error} If the PIN hasn't been entered this session
+ */
+export async function removePin() {
+  const stored = await getStoredTokens();
+  if (!stored?.encrypted) return;
+
+  const tokens = await getTokens();
+  await chrome.storage.local.set({ [STORAGE_KEYS.TOKENS]: tokens });
+  await setUnlockedKey(stored.salt, null);
+}
+
+/**
+ * Tell the user how long unlocking is paused
+ * @param {number} lockedUntil - Time the pause ends
+ * @returns {string}
+ */
+function getPinLockoutMessage(lockedUntil) {
+  const seconds = Math.ceil((lockedUntil - Date.now()) / 1000);
+  const minutes = Math.ceil(seconds / 60);
+  const wait = seconds < 60 ? `${seconds} seconds` : `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  return `Too many wrong PINs. Try again in ${wait}.`;
+}
+
+/**
+ * Unlock PIN-protected tokens for the rest of the browser session
+ * After FREE_PIN_ATTEMPTS wrong PINs, unlocking pauses for longer after each further one
+ * @param {string} pin - PIN entered by the user
+ * @throws {Error} If the PIN is wrong or unlocking is paused
+ */
+export async function unlock(pin) {
+  const stored = await getStoredTokens();
+  if (!stored?.encrypted) return;
+
+  const result = await chrome.storage.local.get(STORAGE_KEYS.PIN_ATTEMPTS);
+  const attempts = result[STORAGE_KEYS.PIN_ATTEMPTS] || { failures: 0, lockedUntil: 0 };
+  if (attempts.lockedUntil > Date.now()) {
+    throw new Error(getPinLockoutMessage(attempts.lockedUntil));
+  }
+
+  const rawKey = await deriveKey(pin || '', stored.salt, stored.iterations);
+  try {
+    await decryptJson(rawKey, stored);
+  } catch (error) {
+    const failures = attempts.failures + 1;
+    const lockedUntil = failures < FREE_PIN_ATTEMPTS
+      ? 0
+      : Date.now() + Math.min(PIN_LOCKOUT_BASE * 2 ** (failures - FREE_PIN_ATTEMPTS), PIN_LOCKOUT_MAX);
+    await chrome.storage.local.set({ [STORAGE_KEYS.PIN_ATTEMPTS]: { failures, lockedUntil } });
+    throw lockedUntil ? new Error(`${error.message}. ${getPinLockoutMessage(lockedUntil)}`) : error;
+  }
+
+  await chrome.storage.local.remove(STORAGE_KEYS.PIN_ATTEMPTS);
+  await setUnlockedKey(stored.salt, rawKey);
+}
+
+/**
+ * Forget the unlocked key so the PIN is needed again
+ */
+export async function lock() {
+  const stored = await getStoredTokens();
+  if (stored?.encrypted) {
+    await setUnlockedKey(stored.salt, null);
+  }
+}
+
+/**
+ * Forget the unlocked keys of every profile, e.g. when the Chromebook is left alone
+ * @returns {Promise<boolean>} True if something was unlocked
+ */
+export async function lockAll() {
+  const result = await chrome.storage.session.get(STORAGE_KEYS.UNLOCKED_KEYS);
+  if (Object.keys(result[STORAGE_KEYS.UNLOCKED_KEYS] || {}).length === 0) {
+    return false;
+  }
+  await chrome.storage.session.remove(STORAGE_KEYS.UNLOCKED_KEYS);
+  return true;
 }
 
 /**
  * Clear all stored authentication data
  */
 export async function clearAuth() {
+  await lock();
   await chrome.storage.local.remove([
     STORAGE_KEYS.TOKENS,
     STORAGE_KEYS.AUTH_STATE,
-    STORAGE_KEYS.INSTALLATION
+    STORAGE_KEYS.INSTALLATION,
+    STORAGE_KEYS.SESSION_EXPIRED,
+    STORAGE_KEYS.PIN_ATTEMPTS
   ]);
 }
 
 /**
- * Check if user is authenticated and token is valid
+ * Sign out because GitHub rejected the refresh token, remembering why for the connection status
+ */
+async function expireSession() {
+  await clearAuth();
+  await chrome.storage.local.set({ [STORAGE_KEYS.SESSION_EXPIRED]: { expiredAt: Date.now() } });
+}
+
+/**
+ * Check whether the last sign-in ended because its session expired (rather than a disconnect)
+ * @returns {Promise<boolean>}
+ */
+export async function isSessionExpired() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.SESSION_EXPIRED);
+  if (result[STORAGE_KEYS.SESSION_EXPIRED]) return true;
+
+  // Tokens that ran out without a refresh being tried expired just the same
+  if (await isLocked()) return false;
+  const tokens = await getTokens();
+  return Boolean(tokens) && tokens.expiresAt - Date.now() <= TOKEN_REFRESH_THRESHOLD && !canRefresh(tokens);
+}
+
+/**
+ * Check whether tokens can still be refreshed
+ * @param {Object} tokens - Token data
+ * @returns {boolean}
+ */
+function canRefresh(tokens) {
+  return Boolean(tokens.refreshToken) &&
+    (!tokens.refreshTokenExpiresAt || tokens.refreshTokenExpiresAt > Date.now());
+}
+
+/**
+ * Check if user is authenticated: the access token is valid or can be refreshed
  * @returns {Promise<boolean>}
  */
 export async function isAuthenticated() {
+  if (await isLocked()) return false;
+
   const tokens = await getTokens();
   if (!tokens) return false;
 
-  // Check if token is expired or about to expire
+  // A token about to expire is fine as long as the refresh token still works
   const timeUntilExpiry = tokens.expiresAt - Date.now();
-  return timeUntilExpiry > TOKEN_REFRESH_THRESHOLD;
+  return timeUntilExpiry > TOKEN_REFRESH_THRESHOLD || canRefresh(tokens);
 }
 
 /**
- * Start GitHub App authentication flow with repository selection
+ * Get when the access token should be refreshed, for the background refresh alarm
+ * @returns {Promise<number|null>} Timestamp, or null if there is nothing to refresh (signed out, locked or no refresh token)
+ */
+export async function getTokenRefreshTime() {
+  if (await isLocked()) return null;
+
+  const tokens = await getTokens();
+  if (!tokens || !canRefresh(tokens)) return null;
+
+  return tokens.expiresAt - TOKEN_REFRESH_THRESHOLD;
+}
+
+/**
+ * Start GitHub App authentication with the OAuth web flow (self-hosted apps with their own client secret)
  * User must install the GitHub App to specific repositories first
  * @returns {Promise<Object>} Token data and installation info
  * @throws {Error} If authentication fails
@@ -146,42 +419,224 @@ export async function authenticate() {
 
     // Exchange code for token
     const tokens = await exchangeCodeForToken(code, redirectUri);
+    await completeSignIn(tokens);
+
+    await chrome.storage.local.remove([STORAGE_KEYS.AUTH_STATE]);
+    return tokens;
+
+  } catch (error) {
+    await chrome.storage.local.remove([STORAGE_KEYS.AUTH_STATE]);
+    throw error;
+  }
+}
 
-    // Store tokens
-    await storeTokens(tokens);
+/**
+ * Store new tokens and the GitHub App installation they give access to
+ * @param {Object} tokens - Token data from either sign-in flow
+ * @throws {Error} If the app isn't installed anywhere
+ */
+async function completeSignIn(tokens) {
+  // Signing in again while locked (e.g. a forgotten PIN) replaces the protected tokens
+  if (await isLocked()) {
+    await chrome.storage.local.remove(STORAGE_KEYS.TOKENS);
+  }
+  await chrome.storage.local.remove(STORAGE_KEYS.SESSION_EXPIRED);
 
-    // Get GitHub App installations to find which repositories user granted access to
-    const installations = await getInstallations(tokens.accessToken);
+  await storeTokens(tokens);
 
-    if (installations.length === 0) {
-      // Clear tokens since installation is required
-      await clearAuth();
-      throw new Error(
-        'No GitHub App installations found. ' +
-        'Please complete the GitHub App installation by selecting repositories. ' +
-        'Go to GitHub settings and install the app to at least one repository.'
-      );
-    }
+  // Get GitHub App installations to find which repositories user granted access to
+  const installations = await getInstallations(tokens.accessToken);
 
-    // Store the first installation (users typically have one)
-    const installation = installations[0];
+  if (installations.length === 0) {
+    // Clear tokens since installation is required
+    await clearAuth();
+    throw new Error(
+      'No GitHub App installations found. ' +
+      'Please complete the GitHub App installation by selecting repositories. ' +
+      'Go to GitHub settings and install the app to at least one repository.'
+    );
+  }
+
+  // Start with the first installation; the popup lets the user switch to another one
+  const installation = formatInstallation(installations[0]);
+  await chrome.storage.local.set({ [STORAGE_KEYS.INSTALLATION]: installation });
+
+  console.log('[SpikePrimeGit Auth] Authenticated with installation:', installation.id);
+}
+
+/**
+ * Start signing in with the OAuth device flow
+ * The user enters the returned code on github.com; waitForDeviceAuthorization() collects the token
+ * @returns {Promise<Object>} userCode, verificationUri and expiresAt to show to the user
+ * @throws {Error} If GitHub rejects the request (device flow disabled for the app)
+ */
+export async function startDeviceFlow() {
+  const clientId = await getClientId();
+
+  const response = await fetch('https://github.com/login/device/code', {
+    method: 'POST',
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ client_id: clientId })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Device authorization failed: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  if (data.error) {
+    throw new Error(`GitHub error: ${data.error} - ${data.error_description || ''}`);
+  }
+
+  const deviceFlow = {
+    userCode: data.user_code,
+    verificationUri: data.verification_uri,
+    expiresAt: Date.now() + data.expires_in * 1000,
+    interval: data.interval || 5,
+    status: 'pending',
+    error: null
+  };
+
+  // The device code lets anyone finish this sign-in - keep it out of persistent storage
+  await chrome.storage.session.set({ [STORAGE_KEYS.DEVICE_FLOW]: data.device_code });
+  await chrome.storage.local.set({ [STORAGE_KEYS.DEVICE_FLOW]: deviceFlow });
+
+  return { userCode: deviceFlow.userCode, verificationUri: deviceFlow.verificationUri, expiresAt: deviceFlow.expiresAt };
+}
+
+/**
+ * Get the state of the current device flow sign-in
+ * @returns {Promise<Object|null>} userCode, verificationUri, expiresAt, status ('pending', 'success'
+ *   or 'error') and error; null if no device sign-in was started
+ */
+export async function getDeviceFlowStatus() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.DEVICE_FLOW);
+  const deviceFlow = result[STORAGE_KEYS.DEVICE_FLOW];
+  if (!deviceFlow) return null;
+
+  const { interval, ...status } = deviceFlow;
+  return status;
+}
+
+/**
+ * Stop a device flow sign-in and forget its code
+ */
+export async function cancelDeviceFlow() {
+  await chrome.storage.session.remove(STORAGE_KEYS.DEVICE_FLOW);
+  await chrome.storage.local.remove(STORAGE_KEYS.DEVICE_FLOW);
+}
+
+// Single poller per service worker - the popup may ask again after being reopened
+let devicePollPromise = null;
+
+/**
+ * Poll GitHub until the user approves (or denies) the device code, then sign in
+ * Progress is written to storage so a reopened popup can pick it up
+ * @returns {Promise<boolean>} True once signed in
+ */
+export function waitForDeviceAuthorization() {
+  if (!devicePollPromise) {
+    devicePollPromise = pollDeviceAuthorization().finally(() => {
+      devicePollPromise = null;
+    });
+  }
+  return devicePollPromise;
+}
+
+/**
+ * Poll loop behind waitForDeviceAuthorization()
+ * @returns {Promise<boolean>} True once signed in
+ */
+async function pollDeviceAuthorization() {
+  const setStatus = async (status, error = null) => {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.DEVICE_FLOW);
+    if (!result[STORAGE_KEYS.DEVICE_FLOW]) return; // Cancelled
     await chrome.storage.local.set({
-      [STORAGE_KEYS.INSTALLATION]: {
-        id: installation.id,
-        account: installation.account,
-        repository_selection: installation.repository_selection,
-        created_at: installation.created_at
-      }
+      [STORAGE_KEYS.DEVICE_FLOW]: { ...result[STORAGE_KEYS.DEVICE_FLOW], status, error }
     });
+    if (status !== 'pending') {
+      await chrome.storage.session.remove(STORAGE_KEYS.DEVICE_FLOW);
+    }
+  };
 
-    console.log('[SpikePrimeGit Auth] Authenticated with installation:', installation.id);
+  const clientId = await getClientId();
 
-    await chrome.storage.local.remove([STORAGE_KEYS.AUTH_STATE]);
-    return tokens;
+  while (true) {
+    const deviceFlow = (await chrome.storage.local.get(STORAGE_KEYS.DEVICE_FLOW))[STORAGE_KEYS.DEVICE_FLOW];
+    const deviceCode = (await chrome.storage.session.get(STORAGE_KEYS.DEVICE_FLOW))[STORAGE_KEYS.DEVICE_FLOW];
+    if (!deviceFlow || !deviceCode || deviceFlow.status !== 'pending') {
+      return false;
+    }
+    if (Date.now() >= deviceFlow.expiresAt) {
+      await setStatus('error', 'The code expired before it was entered. Please try again.');
+      return false;
+    }
 
-  } catch (error) {
-    await chrome.storage.local.remove([STORAGE_KEYS.AUTH_STATE]);
-    throw error;
+    await new Promise(resolve => setTimeout(resolve, deviceFlow.interval * 1000));
+
+    let data;
+    try {
+      const response = await fetch('https://github.com/login/oauth/access_token', {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ client_id: clientId, device_code: deviceCode, grant_type: DEVICE_GRANT_TYPE })
+      });
+      data = await response.json();
+    } catch (error) {
+      // Offline for a moment - keep polling until the code expires
+      console.warn('[SpikePrimeGit Auth] Device flow poll failed:', error.message);
+      continue;
+    }
+
+    if (data.access_token) {
+      // Cancelled (or the profile was switched) while this request was in flight
+      if (!(await chrome.storage.session.get(STORAGE_KEYS.DEVICE_FLOW))[STORAGE_KEYS.DEVICE_FLOW]) {
+        return false;
+      }
+
+      try {
+        await completeSignIn({
+          accessToken: data.access_token,
+          refreshToken: data.refresh_token || null,
+          expiresIn: data.expires_in || 28800,
+          refreshTokenExpiresIn: data.refresh_token_expires_in || null,
+          scope: data.scope
+        });
+        await setStatus('success');
+        return true;
+      } catch (error) {
+        await setStatus('error', error.message);
+        return false;
+      }
+    }
+
+    if (data.error === 'authorization_pending') {
+      continue;
+    }
+    if (data.error === 'slow_down') {
+      // GitHub asks for a longer interval
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.DEVICE_FLOW]: { ...deviceFlow, interval: data.interval || deviceFlow.interval + 5 }
+      });
+      continue;
+    }
+    if (data.error === 'access_denied') {
+      await setStatus('error', 'Sign-in was cancelled on GitHub.');
+      return false;
+    }
+    if (data.error === 'expired_token') {
+      await setStatus('error', 'The code expired before it was entered. Please try again.');
+      return false;
+    }
+
+    await setStatus('error', `GitHub error: ${data.error} - ${data.error_description || ''}`);
+    return false;
   }
 }
 
@@ -233,6 +688,7 @@ async function exchangeCodeForToken(code, redirectUri) {
       accessToken: data.access_token,
       refreshToken: data.refresh_token || null,
       expiresIn: data.expires_in || 28800, // OAuth tokens don't expire by default, set to 8 hours
+      refreshTokenExpiresIn: data.refresh_token_expires_in || null,
       scope: data.scope
     };
   } catch (error) {
@@ -257,7 +713,10 @@ export async function refreshAccessToken() {
     throw new Error('GitHub Client ID not configured');
   }
 
-  const response = await fetch('https://github.com/login/oauth/access_token', {
+  // Self-hosted apps using the web flow authenticate the refresh with their secret
+  const clientSecret = await getClientSecret();
+
+  const response = await fetchGitHub('https://github.com/login/oauth/access_token', {
     method: 'POST',
     headers: {
       'Accept': 'application/json',
@@ -265,6 +724,7 @@ export async function refreshAccessToken() {
     },
     body: JSON.stringify({
       client_id: clientId,
+      ...(clientSecret ? { client_secret: clientSecret } : {}),
       grant_type: 'refresh_token',
       refresh_token: tokens.refreshToken
     })
@@ -285,6 +745,7 @@ export async function refreshAccessToken() {
     accessToken: data.access_token,
     refreshToken: data.refresh_token,
     expiresIn: data.expires_in || 28800,
+    refreshTokenExpiresIn: data.refresh_token_expires_in || null,
     scope: data.scope
   };
 
@@ -292,6 +753,20 @@ export async function refreshAccessToken() {
   return newTokens;
 }
 
+/**
+ * Check whether GitHub turned the refresh down, as opposed to being unreachable for a moment
+ * @param {Error} error - Error from refreshAccessToken()
+ * @returns {boolean}
+ */
+function isRefreshRejected(error) {
+  return error.message === 'No refresh token available' ||
+    error.message.startsWith('Token refresh error:') ||
+    /^Token refresh failed: 4\d\d/.test(error.message);
+}
+
+// Refresh tokens are single-use - concurrent requests must share one refresh
+let refreshPromise = null;
+
 /**
  * Get valid access token, refreshing if necessary
  * @returns {Promise<string>} Valid access token
@@ -308,14 +783,23 @@ export async function getValidAccessToken() {
   const timeUntilExpiry = tokens.expiresAt - Date.now();
 
   if (timeUntilExpiry <= TOKEN_REFRESH_THRESHOLD) {
+    if (!refreshPromise) {
+      refreshPromise = refreshAccessToken().finally(() => {
+        refreshPromise = null;
+      });
+    }
+
     try {
-      const newTokens = await refreshAccessToken();
+      const newTokens = await refreshPromise;
       return newTokens.accessToken;
     } catch (error) {
       console.error('[SpikePrimeGit Auth] Token refresh failed:', error);
-      // Clear invalid tokens
-      await clearAuth();
-      throw new Error('Token expired and refresh failed. Please re-authenticate.');
+      if (!isRefreshRejected(error)) {
+        // Offline or GitHub unavailable - keep the tokens and try again later
+        throw error;
+      }
+      await expireSession();
+      throw new Error(SESSION_EXPIRED_ERROR);
     }
   }
 
@@ -329,7 +813,7 @@ export async function getValidAccessToken() {
 export async function getAuthenticatedUser() {
   const token = await getValidAccessToken();
 
-  const response = await fetch('https://api.github.com/user', {
+  const response = await fetchGitHub('https://api.github.com/user', {
     headers: {
       'Authorization': `Bearer ${token}`,
       'Accept': 'application/vnd.github.v3+json'
@@ -359,27 +843,43 @@ export async function getClientId() {
 
 /**
  * Get GitHub App Client Secret
+ * Only self-hosted apps using the web flow have one - the bundled app signs in with the device flow
  * @returns {Promise<string|null>} Client Secret or null
  */
 export async function getClientSecret() {
-  // Try to get from storage first (for user-configured apps)
   const result = await chrome.storage.local.get(STORAGE_KEYS.CLIENT_SECRET);
-  if (result[STORAGE_KEYS.CLIENT_SECRET]) {
-    return result[STORAGE_KEYS.CLIENT_SECRET];
+  return result[STORAGE_KEYS.CLIENT_SECRET] || null;
+}
+
+/**
+ * Get the sign-in method
+ * @returns {Promise<string>} 'device' (default) or 'web'
+ */
+export async function getAuthFlow() {
+  const result = await chrome.storage.local.get([STORAGE_KEYS.AUTH_FLOW, STORAGE_KEYS.CLIENT_SECRET]);
+  if (result[STORAGE_KEYS.AUTH_FLOW]) {
+    return result[STORAGE_KEYS.AUTH_FLOW] === 'web' ? 'web' : 'device';
   }
-  // Fallback to hardcoded GitHub App client secret
-  return GITHUB_APP_CLIENT_SECRET;
+  // Apps configured before the device flow existed were set up with a secret for the web flow
+  return result[STORAGE_KEYS.CLIENT_SECRET] ? 'web' : 'device';
 }
 
 /**
  * Set OAuth credentials (for setup screen)
- * @param {string} clientId - GitHub OAuth App Client ID
- * @param {string} clientSecret - GitHub OAuth App Client Secret
+ * @param {string} clientId - GitHub App Client ID
+ * @param {string} [clientSecret] - GitHub App Client Secret, only needed for the web flow
+ * @param {string} [authFlow] - 'device' (default) or 'web'
+ * @throws {Error} If the web flow is chosen without a client secret
  */
-export async function setCredentials(clientId, clientSecret) {
+export async function setCredentials(clientId, clientSecret, authFlow = 'device') {
+  if (authFlow === 'web' && !clientSecret) {
+    throw new Error('The web sign-in flow needs the app\'s client secret');
+  }
+
   await chrome.storage.local.set({
     [STORAGE_KEYS.CLIENT_ID]: clientId,
-    [STORAGE_KEYS.CLIENT_SECRET]: clientSecret
+    [STORAGE_KEYS.CLIENT_SECRET]: clientSecret || null,
+    [STORAGE_KEYS.AUTH_FLOW]: authFlow
   });
 }
 
@@ -389,7 +889,7 @@ export async function setCredentials(clientId, clientSecret) {
  * @returns {Promise<Array>} List of installations
  */
 async function getInstallations(token) {
-  const response = await fetch('https://api.github.com/user/installations', {
+  const response = await fetchGitHub('https://api.github.com/user/installations', {
     headers: {
       'Authorization': `Bearer ${token}`,
       'Accept': 'application/vnd.github+json',
@@ -405,46 +905,198 @@ async function getInstallations(token) {
   return data.installations || [];
 }
 
+/**
+ * Keep the installation fields SpikePrimeGit uses
+ * @param {Object} installation - Installation from the GitHub API
+ * @returns {Object} {id, account: {login, id, type, avatar_url}, repository_selection, created_at}
+ */
+function formatInstallation(installation) {
+  return {
+    id: installation.id,
+    account: {
+      login: installation.account.login,
+      id: installation.account.id,
+      type: installation.account.type,
+      avatar_url: installation.account.avatar_url
+    },
+    repository_selection: installation.repository_selection,
+    created_at: installation.created_at
+  };
+}
+
+/**
+ * List every account and organization the user installed the app on
+ * If the active installation was removed on GitHub, the first remaining one becomes active
+ * @returns {Promise<Array>} Installations, see formatInstallation()
+ */
+export async function listInstallations() {
+  const token = await getValidAccessToken();
+  const installations = (await getInstallations(token)).map(formatInstallation);
+
+  const active = await getInstallation();
+  if (installations.length > 0 && !installations.some(installation => installation.id === active?.id)) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.INSTALLATION]: installations[0] });
+  }
+
+  return installations;
+}
+
+/**
+ * Make an installation the active one (new repositories are created in its account)
+ * @param {number} installationId - Installation ID
+ * @returns {Promise<Object>} The selected installation
+ * @throws {Error} If the user has no such installation
+ */
+export async function selectInstallation(installationId) {
+  const installations = await listInstallations();
+  const installation = installations.find(candidate => candidate.id === installationId);
+  if (!installation) {
+    throw new Error('Installation not found. It may have been removed on GitHub.');
+  }
+
+  await chrome.storage.local.set({ [STORAGE_KEYS.INSTALLATION]: installation });
+  console.log('[SpikePrimeGit Auth] Switched to installation:', installation.id, installation.account.login);
+  return installation;
+}
+
+/**
+ * Get the active GitHub App installation
+ * @returns {Promise<Object|null>} {id, account, repository_selection, created_at}, or null
+ */
+export async function getInstallation() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.INSTALLATION);
+  return result[STORAGE_KEYS.INSTALLATION] || null;
+}
+
+/**
+ * Get the page where the user picks which repositories the installation can access
+ * @param {Object|null} installation - Installation from getInstallation()
+ * @returns {string} GitHub URL
+ */
+export function getInstallationSettingsUrl(installation) {
+  if (!installation) {
+    return 'https://github.com/apps/spikeprimegit/installations/new';
+  }
+  if (installation.account?.type === 'Organization') {
+    return `https://github.com/organizations/${installation.account.login}/settings/installations/${installation.id}`;
+  }
+  return `https://github.com/settings/installations/${installation.id}`;
+}
+
 /**
  * Get repositories accessible via GitHub App installation
  * Only returns repositories user explicitly granted access to
+ * @param {Object} [installation] - Installation to list (defaults to the active one)
  * @returns {Promise<Array>} List of accessible repositories
  */
-export async function getInstallationRepositories() {
+export async function getInstallationRepositories(installation) {
   const token = await getValidAccessToken();
 
   // Get stored installation
-  const result = await chrome.storage.local.get(STORAGE_KEYS.INSTALLATION);
-  const installation = result[STORAGE_KEYS.INSTALLATION];
+  if (!installation) {
+    installation = await getInstallation();
+  }
 
   if (!installation) {
     throw new Error('No installation found. Please authenticate first.');
   }
 
-  // Get repositories for this installation
-  const response = await fetch(
-    `https://api.github.com/user/installations/${installation.id}/repositories`,
-    {
+  // Get repositories for this installation, 100 per page
+  const repositories = [];
+  let url = `https://api.github.com/user/installations/${installation.id}/repositories?per_page=100`;
+  while (url) {
+    const response = await fetchGitHub(url, {
       headers: {
         'Authorization': `Bearer ${token}`,
         'Accept': 'application/vnd.github+json',
         'X-GitHub-Api-Version': '2022-11-28'
       }
+    });
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        throw new Error(
+          'Installation not found. Please reinstall the SpikePrimeGit app at ' +
+          'https://github.com/apps/spikeprimegit/installations/new'
+        );
+      }
+      throw new Error(`Failed to get installation repositories: ${response.status}`);
     }
-  );
 
-  if (!response.ok) {
-    if (response.status === 404) {
-      throw new Error(
-        'Installation not found. Please reinstall the SpikePrimeGit app at ' +
-        'https://github.com/apps/spikeprimegit/installations/new'
-      );
+    const data = await response.json();
+    repositories.push(...(data.repositories || []));
+    url = getNextPageUrl(response.headers.get('Link'));
+  }
+
+  return repositories;
+}
+
+/**
+ * Find the next page in a GitHub Link header
+ * @param {string|null} linkHeader - e.g. '<https://api.github.com/...&page=2>; rel="next", <...>; rel="last"'
+ * @returns {string|null} URL of the next page, or null on the last page
+ */
+function getNextPageUrl(linkHeader) {
+  const match = linkHeader?.match(/<([^>]+)>;\s*rel="next"/);
+  return match ? match[1] : null;
+}
+
+// Each push or listing checks access - share one listing of the installations' repositories for a while
+const REPOSITORY_CACHE_TTL = 60 * 1000;
+let repositoryCache = null;
+
+/**
+ * Get repositories from every installation
+ * Each repository is tagged with installation_id; an installation that fails to load is skipped
+ * The listing is reused for REPOSITORY_CACHE_TTL while the access token stays the same
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh] - Ask GitHub again instead of using the cached listing
+ * @returns {Promise<Array>} Repositories of all installations
+ * @throws {Error} If there are no installations or none of them could be listed
+ */
+export async function getAllInstallationRepositories({ refresh = false } = {}) {
+  const token = await getValidAccessToken();
+  if (!refresh && repositoryCache?.token === token && repositoryCache.expiresAt > Date.now()) {
+    return repositoryCache.promise;
+  }
+
+  const promise = loadAllInstallationRepositories();
+  repositoryCache = { token, expiresAt: Date.now() + REPOSITORY_CACHE_TTL, promise };
+  promise.catch(() => {
+    if (repositoryCache?.promise === promise) {
+      repositoryCache = null;
     }
-    throw new Error(`Failed to get installation repositories: ${response.status}`);
+  });
+  return promise;
+}
+
+/**
+ * List the repositories of every installation, see getAllInstallationRepositories()
+ * @returns {Promise<Array>} Repositories of all installations
+ */
+async function loadAllInstallationRepositories() {
+  const installations = await listInstallations();
+  if (installations.length === 0) {
+    throw new Error('No installation found. Please authenticate first.');
   }
 
-  const data = await response.json();
-  return data.repositories || [];
+  const results = await Promise.allSettled(
+    installations.map(installation => getInstallationRepositories(installation))
+  );
+
+  const failed = results.filter(result => result.status === 'rejected');
+  if (failed.length === results.length) {
+    throw failed[0].reason;
+  }
+
+  return results.flatMap((result, index) => {
+    if (result.status === 'rejected') {
+      console.warn('[SpikePrimeGit Auth] Failed to list repositories of installation',
+        installations[index].id, result.reason);
+      return [];
+    }
+    return result.value.map(repo => ({ ...repo, installation_id: installations[index].id }));
+  });
 }
 
 /**
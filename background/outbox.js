@@ -0,0 +1,185 @@
+/**
+ * Offline Outbox
+ * Keeps pushes that failed for lack of connectivity in IndexedDB and retries them with exponential backoff
+ */
+
+const DB_NAME = 'spikeprimegit';
+const DB_VERSION = 1;
+const STORE_NAME = 'outbox';
+
+// Retry after 30s, 1m, 2m, 4m ... capped at 30 minutes
+const RETRY_BASE_DELAY = 30 * 1000;
+const RETRY_MAX_DELAY = 30 * 60 * 1000;
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the extension database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the outbox store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Called with the object store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Check whether a push failed for reasons worth retrying later
+ * (no network, GitHub unavailable or rate limiting) rather than a problem with the push itself
+ * @param {Error} error - Error thrown by the push
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return true;
+  }
+  // fetchGitHub() marks requests that never reached GitHub
+  if (error.name === 'NetworkError') {
+    return true;
+  }
+  return /\((5\d\d|429) on /.test(error.message) || error.message.includes('rate limit exceeded');
+}
+
+/**
+ * Get the delay before the next attempt
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} Milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * 2 ** Math.max(0, attempts - 1), RETRY_MAX_DELAY);
+}
+
+/**
+ * Store a failed push for later
+ * @param {Object} push - Push parameters
+ * @param {string} push.repository - Repository in "owner/repo" format
+ * @param {string} push.branch - Branch name
+ * @param {Array<{projectName: string, zipContent: ArrayBuffer}>} push.projects - Projects to push
+ * @param {string} push.commitMessage - Commit message
+ * @param {string} [push.profileId] - Profile whose sign-in sends the push
+ * @param {string} error - Why the push failed
+ * @returns {Promise<number>} Outbox item ID
+ */
+export async function addToOutbox(push, error) {
+  const now = Date.now();
+  return await withStore('readwrite', store => store.add({
+    ...push,
+    createdAt: now,
+    attempts: 1,
+    nextAttemptAt: now + getRetryDelay(1),
+    lastError: error
+  }));
+}
+
+/**
+ * Get pending pushes, oldest first
+ * @param {string} [profileId] - Only pushes of this profile (and pushes stored before profiles existed)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getOutboxItems(profileId) {
+  const items = await withStore('readonly', store => store.getAll());
+  return profileId ? items.filter(item => !item.profileId || item.profileId === profileId) : items;
+}
+
+/**
+ * Count pushes waiting to be retried (failed ones wait for the user instead)
+ * @param {string} [profileId] - Only count pushes of this profile
+ * @returns {Promise<number>}
+ */
+export async function getOutboxCount(profileId) {
+  return (await getOutboxItems(profileId)).filter(item => !item.failed).length;
+}
+
+/**
+ * Get the time of the earliest scheduled retry
+ * @param {string} [profileId] - Only consider pushes of this profile
+ * @returns {Promise<number|null>} Timestamp, or null if nothing is waiting to be retried
+ */
+export async function getNextRetryTime(profileId) {
+  const items = (await getOutboxItems(profileId)).filter(item => !item.failed);
+  return items.length > 0 ? Math.min(...items.map(item => item.nextAttemptAt)) : null;
+}
+
+/**
+ * Retry pending pushes, oldest first
+ * Stops at the first retryable failure - the connection is still down, later items would fail too.
+ * A push GitHub rejects (conflict, repository gone, no access) is marked failed and left out of
+ * automatic retries - retrying it can't help until the user does something
+ * @param {Function} push - Performs one push, called with the stored push parameters
+ * @param {Object} [options]
+ * @param {boolean} [options.now] - Retry items even if their backoff hasn't elapsed
+ * @param {boolean} [options.force] - Like now, failed items included (only when the user asks)
+ * @param {string} [options.profileId] - Only retry pushes of this profile (others need its sign-in)
+ * @returns {Promise<{sent: number, failed: number, remaining: number}>}
+ */
+export async function processOutbox(push, options = {}) {
+  const items = await getOutboxItems(options.profileId);
+  let sent = 0;
+  let failed = 0;
+
+  for (const item of items) {
+    if (!options.force && (item.failed || (!options.now && item.nextAttemptAt > Date.now()))) {
+      continue;
+    }
+
+    try {
+      const { id, createdAt, attempts, nextAttemptAt, lastError, profileId, failed: itemFailed, ...params } = item;
+      await push(params);
+      await withStore('readwrite', store => store.delete(id));
+      sent++;
+    } catch (error) {
+      failed++;
+      const attempts = item.attempts + 1;
+      const retryable = isRetryableError(error);
+      await withStore('readwrite', store => store.put({
+        ...item,
+        attempts,
+        failed: !retryable,
+        nextAttemptAt: retryable ? Date.now() + getRetryDelay(attempts) : null,
+        lastError: error.message
+      }));
+
+      if (retryable) {
+        break;
+      }
+    }
+  }
+
+  return { sent, failed, remaining: await getOutboxCount(options.profileId) };
+}
+
+/**
+ * Drop a pending push without sending it
+ * @param {number} id - Outbox item ID
+ */
+export async function removeFromOutbox(id) {
+  await withStore('readwrite', store => store.delete(id));
+}
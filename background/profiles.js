@@ -0,0 +1,219 @@
+/**
+ * Profiles
+ * Lets several people share one Chromebook. Each profile has its own sign-in, installation and settings.
+ * The active profile's data lives under the usual storage keys; other profiles' data is parked in
+ * profile_data and swapped in when switching
+ */
+
+// Storage keys that belong to a profile
+export const PROFILE_DATA_KEYS = [
+  'github_tokens',
+  'github_installation',
+  'user_settings',
+  'sync_history',
+  'project_bases',
+  'session_branch',
+  'pending_repository',
+  'session_expired',
+  'scheduled_sync_error',
+  'pin_attempts'
+];
+
+const STORAGE_KEYS = {
+  PROFILES: 'profiles', // [{id, name, login, avatarUrl}]
+  ACTIVE_PROFILE: 'active_profile',
+  PROFILE_DATA: 'profile_data' // {profileId: {storage key: value}} for inactive profiles
+};
+
+const DEFAULT_PROFILE_NAME = 'Default';
+
+// Profile changes run one at a time so two quick switches can't mix up data
+let profileTask = Promise.resolve();
+
+/**
+ * Run a profile change after the ones already started
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} Result of task
+ */
+function runExclusive(task) {
+  const run = profileTask.then(task);
+  profileTask = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Load profiles, creating the first one (holding any existing sign-in) on first use
+ * @returns {Promise<{profiles: Array<Object>, activeProfileId: string}>}
+ */
+async function ensureProfiles() {
+  const result = await chrome.storage.local.get([STORAGE_KEYS.PROFILES, STORAGE_KEYS.ACTIVE_PROFILE]);
+  const profiles = result[STORAGE_KEYS.PROFILES] || [];
+  let activeProfileId = result[STORAGE_KEYS.ACTIVE_PROFILE];
+
+  if (profiles.length === 0) {
+    profiles.push({ id: crypto.randomUUID(), name: null, login: null, avatarUrl: null });
+  }
+  if (!profiles.some(profile => profile.id === activeProfileId)) {
+    activeProfileId = profiles[0].id;
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.PROFILES]: profiles,
+      [STORAGE_KEYS.ACTIVE_PROFILE]: activeProfileId
+    });
+  }
+
+  return { profiles, activeProfileId };
+}
+
+/**
+ * Name shown for a profile: its own name, else the GitHub login it signed in with
+ * @param {Object} profile - Stored profile
+ * @returns {Object} Profile with name filled in
+ */
+function formatProfile(profile) {
+  return { ...profile, name: profile.name || profile.login || DEFAULT_PROFILE_NAME };
+}
+
+/**
+ * Park the active profile's data and load another profile's data in its place
+ * @param {string|null} fromId - Profile to park, or null to drop the active data
+ * @param {string} toId - Profile to load
+ */
+async function swapProfileData(fromId, toId) {
+  const stored = await chrome.storage.local.get([...PROFILE_DATA_KEYS, STORAGE_KEYS.PROFILE_DATA]);
+  const profileData = stored[STORAGE_KEYS.PROFILE_DATA] || {};
+
+  if (fromId) {
+    profileData[fromId] = {};
+    PROFILE_DATA_KEYS.forEach(key => {
+      if (stored[key] !== undefined) {
+        profileData[fromId][key] = stored[key];
+      }
+    });
+  }
+
+  const next = profileData[toId] || {};
+  delete profileData[toId];
+
+  await chrome.storage.local.remove(PROFILE_DATA_KEYS.filter(key => !(key in next)));
+  await chrome.storage.local.set({
+    ...next,
+    [STORAGE_KEYS.PROFILE_DATA]: profileData,
+    [STORAGE_KEYS.ACTIVE_PROFILE]: toId
+  });
+}
+
+/**
+ * List profiles
+ * @returns {Promise<{profiles: Array<{id, name, login, avatarUrl}>, activeProfileId: string}>}
+ */
+export function listProfiles() {
+  return runExclusive(async () => {
+    const { profiles, activeProfileId } = await ensureProfiles();
+    return { profiles: profiles.map(formatProfile), activeProfileId };
+  });
+}
+
+/**
+ * Get the ID of the active profile
+ * @returns {Promise<string>}
+ */
+export async function getActiveProfileId() {
+  return (await listProfiles()).activeProfileId;
+}
+
+/**
+ * Add a profile and switch to it (it starts signed out with default settings)
+ * @param {string} name - Profile name, e.g. the student's name
+ * @returns {Promise<Object>} New profile
+ * @throws {Error} If the name is empty or already used
+ */
+export function createProfile(name) {
+  return runExclusive(async () => {
+    name = (name || '').trim();
+    if (!name) {
+      throw new Error('Enter a name for the profile');
+    }
+
+    const { profiles, activeProfileId } = await ensureProfiles();
+    if (profiles.some(profile => formatProfile(profile).name.toLowerCase() === name.toLowerCase())) {
+      throw new Error(`There is already a profile called "${name}"`);
+    }
+
+    const profile = { id: crypto.randomUUID(), name, login: null, avatarUrl: null };
+    await chrome.storage.local.set({ [STORAGE_KEYS.PROFILES]: [...profiles, profile] });
+    await swapProfileData(activeProfileId, profile.id);
+
+    console.log('[SpikePrimeGit Profiles] Created profile:', name);
+    return formatProfile(profile);
+  });
+}
+
+/**
+ * Make another profile the active one
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<Object>} The active profile
+ * @throws {Error} If the profile doesn't exist
+ */
+export function switchProfile(profileId) {
+  return runExclusive(async () => {
+    const { profiles, activeProfileId } = await ensureProfiles();
+    const profile = profiles.find(candidate => candidate.id === profileId);
+    if (!profile) {
+      throw new Error('Profile not found');
+    }
+
+    if (profileId !== activeProfileId) {
+      await swapProfileData(activeProfileId, profileId);
+      console.log('[SpikePrimeGit Profiles] Switched to profile:', formatProfile(profile).name);
+    }
+    return formatProfile(profile);
+  });
+}
+
+/**
+ * Delete a profile with its sign-in and settings
+ * Removing the active profile switches to another one; removing the last one leaves an empty profile
+ * @param {string} profileId - Profile ID
+ * @throws {Error} If the profile doesn't exist
+ */
+export function removeProfile(profileId) {
+  return runExclusive(async () => {
+    const { profiles, activeProfileId } = await ensureProfiles();
+    if (!profiles.some(profile => profile.id === profileId)) {
+      throw new Error('Profile not found');
+    }
+
+    let remaining = profiles.filter(profile => profile.id !== profileId);
+    if (remaining.length === 0) {
+      remaining = [{ id: crypto.randomUUID(), name: null, login: null, avatarUrl: null }];
+    }
+    await chrome.storage.local.set({ [STORAGE_KEYS.PROFILES]: remaining });
+
+    if (profileId === activeProfileId) {
+      await swapProfileData(null, remaining[0].id);
+    } else {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.PROFILE_DATA);
+      const profileData = result[STORAGE_KEYS.PROFILE_DATA] || {};
+      delete profileData[profileId];
+      await chrome.storage.local.set({ [STORAGE_KEYS.PROFILE_DATA]: profileData });
+    }
+  });
+}
+
+/**
+ * Remember who signed in to the active profile, for the profile switcher
+ * @param {Object} user - GitHub user (login, avatar_url)
+ */
+export function updateActiveProfileIdentity(user) {
+  return runExclusive(async () => {
+    const { profiles, activeProfileId } = await ensureProfiles();
+    const profile = profiles.find(candidate => candidate.id === activeProfileId);
+    if (profile.login === user.login && profile.avatarUrl === user.avatar_url) {
+      return;
+    }
+
+    profile.login = user.login;
+    profile.avatarUrl = user.avatar_url || null;
+    await chrome.storage.local.set({ [STORAGE_KEYS.PROFILES]: profiles });
+  });
+}
@@ -5,29 +5,118 @@
 
 import * as auth from './github-auth.js';
 import * as api from './github-api.js';
+import * as outbox from './outbox.js';
+import * as profiles from './profiles.js';
+
+// Bytes per btoa() call when encoding; must be a multiple of 3
+const BASE64_SLICE_SIZE = 3 * 8192;
+
+// Large projects arrive in several UPLOAD_CHUNK messages (extension messages are capped at 64 MiB)
+const pendingUploads = new Map(); // uploadId -> {tabId, updatedAt, chunks}
+
+// Uploads with no new chunk for this long were abandoned (tab closed, content script error)
+const UPLOAD_TIMEOUT = 2 * 60 * 1000;
+
+// Seconds without keyboard or mouse input before the PIN is needed again
+const PIN_IDLE_TIMEOUT = 15 * 60;
+
+/**
+ * Drop abandoned uploads so their chunks don't stay in memory
+ * @param {number} [tabId] - Also drop every upload from this tab (closed or navigated away)
+ */
+function dropStaleUploads(tabId) {
+  const now = Date.now();
+  for (const [uploadId, upload] of pendingUploads) {
+    if (upload.tabId === tabId || now - upload.updatedAt > UPLOAD_TIMEOUT) {
+      pendingUploads.delete(uploadId);
+    }
+  }
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function decodeBase64(base64) {
+  const binaryString = atob(base64);
+  const bytes = new Uint8Array(binaryString.length);
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Convert project content sent by content scripts to an ArrayBuffer
+ * @param {string|ArrayBuffer|{uploadId: string}} zipContent - Base64 string, ArrayBuffer or chunked upload reference
+ * @returns {Promise<ArrayBuffer>}
+ * @throws {Error} If a chunked upload is missing
+ */
+async function toArrayBuffer(zipContent) {
+  if (zipContent && zipContent.uploadId) {
+    const upload = pendingUploads.get(zipContent.uploadId);
+    pendingUploads.delete(zipContent.uploadId);
+    if (!upload || upload.chunks.includes(undefined)) {
+      throw new Error('Project upload was interrupted. Please sync again.');
+    }
+    return new Blob(upload.chunks).arrayBuffer();
+  }
+
+  if (typeof zipContent !== 'string') {
+    return zipContent;
+  }
+
+  // Assume base64
+  return decodeBase64(zipContent).buffer;
+}
+
+/**
+ * Convert an ArrayBuffer to base64 for sending to content scripts
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const chunks = [];
+  // Encode slice by slice (a multiple of 3 bytes) instead of building one huge binary string
+  for (let i = 0; i < bytes.byteLength; i += BASE64_SLICE_SIZE) {
+    chunks.push(btoa(String.fromCharCode.apply(null, bytes.subarray(i, i + BASE64_SLICE_SIZE))));
+  }
+  return chunks.join('');
+}
 
 // Message handlers
 const messageHandlers = {
   // Check GitHub connection status
   CHECK_CONNECTION: async () => {
     try {
+      if (await auth.isLocked()) {
+        return { connected: false, locked: true };
+      }
+
       const isAuth = await auth.isAuthenticated();
       if (!isAuth) {
-        return { connected: false };
+        // Expired = GitHub turned the refresh down; otherwise the user never connected or disconnected
+        return { connected: false, sessionExpired: await auth.isSessionExpired() };
       }
 
       const user = await auth.getAuthenticatedUser();
+      await profiles.updateActiveProfileIdentity(user).catch(error => {
+        console.warn('[SpikePrimeGit] Could not update profile:', error);
+      });
       return {
         connected: true,
         user: {
           login: user.login,
           name: user.name,
           avatar_url: user.avatar_url
-        }
+        },
+        hasPin: await auth.hasPin()
       };
     } catch (error) {
       console.error('[SpikePrimeGit] Connection check failed:', error);
-      return { connected: false, error: error.message };
+      return { connected: false, error: error.message, sessionExpired: await auth.isSessionExpired() };
     }
   },
 
@@ -36,6 +125,9 @@ const messageHandlers = {
     try {
       await auth.authenticate();
       const user = await auth.getAuthenticatedUser();
+      await profiles.updateActiveProfileIdentity(user).catch(error => {
+        console.warn('[SpikePrimeGit] Could not update profile:', error);
+      });
       return {
         success: true,
         user: {
@@ -50,12 +142,96 @@ const messageHandlers = {
     }
   },
 
-  // Disconnect from GitHub
+  // Start signing in with the device flow; the service worker polls GitHub until the code is approved
+  START_DEVICE_AUTH: async () => {
+    try {
+      const deviceCode = await auth.startDeviceFlow();
+      resumeDeviceAuthorization();
+      return { success: true, ...deviceCode };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Device authorization failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Get the progress of a device flow sign-in
+  GET_DEVICE_AUTH: async () => {
+    try {
+      const status = await auth.getDeviceFlowStatus();
+      if (status?.status === 'pending') {
+        // The service worker may have been restarted since the sign-in began
+        resumeDeviceAuthorization();
+      }
+      return { success: true, deviceAuth: status };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Get device authorization failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Give up on a device flow sign-in
+  CANCEL_DEVICE_AUTH: async () => {
+    try {
+      await auth.cancelDeviceFlow();
+      return { success: true };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Cancel device authorization failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Unlock PIN-protected tokens for this browser session
+  UNLOCK: async ({ pin }) => {
+    try {
+      await auth.unlock(pin);
+      await connectionChanged();
+      retryOutbox().catch(error => console.error('[SpikePrimeGit] Outbox retry failed:', error));
+      return { success: true };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Unlock failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Require the PIN again
+  LOCK: async () => {
+    try {
+      await auth.lock();
+      await connectionChanged();
+      return { success: true };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Lock failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Protect the stored tokens with a PIN, or change it
+  SET_PIN: async ({ pin }) => {
+    try {
+      await auth.setPin(pin);
+      return { success: true };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Set PIN failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Store the tokens without a PIN again
+  REMOVE_PIN: async () => {
+    try {
+      await auth.removePin();
+      return { success: true };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Remove PIN failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Sign the active profile out of GitHub (its settings are kept for the next sign-in)
   DISCONNECT: async () => {
     try {
+      await auth.cancelDeviceFlow();
       await auth.clearAuth();
-      // Also clear user settings
-      await chrome.storage.local.remove('user_settings');
       return { success: true };
     } catch (error) {
       console.error('[SpikePrimeGit] Disconnect failed:', error);
@@ -63,18 +239,66 @@ const messageHandlers = {
     }
   },
 
-  // Get list of repositories accessible via GitHub App installation
+  // List the profiles sharing this browser
+  GET_PROFILES: async () => {
+    try {
+      const { profiles: list, activeProfileId } = await profiles.listProfiles();
+      return { success: true, profiles: list, activeProfileId };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Get profiles failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Add a profile and switch to it
+  CREATE_PROFILE: async ({ name }) => {
+    try {
+      const profile = await changeProfile(() => profiles.createProfile(name));
+      return { success: true, profile };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Create profile failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Switch to another profile
+  SWITCH_PROFILE: async ({ profileId }) => {
+    try {
+      const profile = await changeProfile(() => profiles.switchProfile(profileId));
+      return { success: true, profile };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Switch profile failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Delete a profile with its sign-in and settings
+  REMOVE_PROFILE: async ({ profileId }) => {
+    try {
+      await changeProfile(() => profiles.removeProfile(profileId));
+      return { success: true };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Remove profile failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Get list of repositories accessible via all GitHub App installations
   // Only returns repositories the user explicitly granted access to
   GET_REPOS: async () => {
     try {
-      // Get repositories from GitHub App installation
+      // Get repositories from every GitHub App installation
       const repos = await api.listUserRepos();
 
+      // Repository created from the popup that is waiting for its starter files
+      const pendingRepository = await api.getPendingRepository();
+
       if (repos.length === 0) {
         console.warn('[SpikePrimeGit] No repositories in installation');
         return {
           success: true,
           repos: [],
+          pendingRepository,
           message: 'No repositories found. Please add repositories to your SpikePrimeGit installation.',
           installUrl: 'https://github.com/apps/spikeprimegit'
         };
@@ -87,10 +311,12 @@ const messageHandlers = {
           full_name: repo.full_name,
           name: repo.name,
           owner: repo.owner.login,
+          installationId: repo.installation_id,
           private: repo.private,
           default_branch: repo.default_branch,
           updated_at: repo.updated_at
-        }))
+        })),
+        pendingRepository
       };
     } catch (error) {
       console.error('[SpikePrimeGit] Get repos failed:', error);
@@ -108,6 +334,59 @@ const messageHandlers = {
     }
   },
 
+  // List the accounts and organizations the app is installed on
+  GET_INSTALLATIONS: async () => {
+    try {
+      const installations = await auth.listInstallations();
+      const active = await auth.getInstallation();
+      return {
+        success: true,
+        installations,
+        activeInstallationId: active ? active.id : null,
+        installUrl: auth.getInstallationSettingsUrl(null)
+      };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Get installations failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Switch the active installation
+  SELECT_INSTALLATION: async ({ installationId }) => {
+    try {
+      const installation = await auth.selectInstallation(installationId);
+      return { success: true, installation };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Select installation failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Create a repository for SPIKE projects
+  CREATE_REPOSITORY: async ({ name, description, isPrivate }) => {
+    try {
+      if (!name || !/^[A-Za-z0-9._-]+$/.test(name)) {
+        return { success: false, error: 'Repository names can only contain letters, numbers, "-", "_" and "."' };
+      }
+      const result = await api.createRepository({ name, description, isPrivate });
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Create repository failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Add the starter files to a repository created with CREATE_REPOSITORY
+  SETUP_REPOSITORY: async ({ repository }) => {
+    try {
+      const result = await api.initializeRepository(repository);
+      return { success: true, repository, ...result };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Set up repository failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
   // Get branches for a repository
   GET_BRANCHES: async ({ repository }) => {
     try {
@@ -126,8 +405,63 @@ const messageHandlers = {
     }
   },
 
+  // Create a branch from another branch (or the repository's default branch)
+  CREATE_BRANCH: async ({ repository, branch, fromBranch }) => {
+    try {
+      const [owner, repo] = repository.split('/');
+      const baseBranch = fromBranch || await api.getDefaultBranch(owner, repo);
+      const sha = await api.createBranch(owner, repo, branch, baseBranch);
+      return { success: true, branch, baseBranch, sha };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Create branch failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Get the pull request for a branch (or a draft for opening one)
+  GET_PULL_REQUEST: async ({ repository, branch }) => {
+    try {
+      const info = await api.getPullRequestInfo(repository, branch);
+      return { success: true, ...info };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Get pull request failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Open a pull request into the default branch
+  CREATE_PULL_REQUEST: async ({ repository, branch, title, body }) => {
+    try {
+      if (!title || !title.trim()) {
+        return { success: false, error: 'Pull request title is required' };
+      }
+      const pullRequest = await api.createPullRequest({ repository, branch, title: title.trim(), body });
+      return { success: true, pullRequest };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Create pull request failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Receive one slice of a large project ahead of PUSH_PROJECT / DIFF_PROJECT
+  UPLOAD_CHUNK: async ({ uploadId, index, data }, sender) => {
+    try {
+      dropStaleUploads();
+      if (!pendingUploads.has(uploadId)) {
+        pendingUploads.set(uploadId, { tabId: sender?.tab?.id, updatedAt: Date.now(), chunks: [] });
+      }
+      const upload = pendingUploads.get(uploadId);
+      upload.chunks[index] = decodeBase64(data);
+      upload.updatedAt = Date.now();
+      return { success: true };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Upload chunk failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
   // Push SPIKE project to GitHub
-  PUSH_PROJECT: async ({ projectName, zipContent, repository, branch, commitMessage }) => {
+  PUSH_PROJECT: async ({ projectName, zipContent, repository, branch, commitMessage, onConflict, newBranch }) => {
     try {
       console.log('[SpikePrimeGit] Pushing project:', projectName);
 
@@ -136,28 +470,212 @@ const messageHandlers = {
         return { success: false, error: 'Commit message is required' };
       }
 
-      // Convert base64 back to ArrayBuffer if needed
-      let arrayBuffer;
-      if (typeof zipContent === 'string') {
-        // Assume base64
-        const binaryString = atob(zipContent);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-          bytes[i] = binaryString.charCodeAt(i);
-        }
-        arrayBuffer = bytes.buffer;
-      } else {
-        arrayBuffer = zipContent;
+      const result = await pushOrQueue({
+        repository,
+        branch,
+        projects: [{ projectName, zipContent: await toArrayBuffer(zipContent) }],
+        commitMessage: commitMessage.trim(),
+        onConflict,
+        newBranch
+      });
+
+      if (result.queued) {
+        return { success: false, queued: true, error: result.error };
+      }
+
+      if (result.conflict) {
+        return { success: false, conflict: true, conflicts: result.conflicts, error: 'Project changed on GitHub' };
+      }
+
+      const [project] = result.projects;
+      return {
+        success: true,
+        commitSha: result.commitSha,
+        branch: result.branch,
+        fileUrl: project.fileUrl,
+        action: project.action,
+        sourceFiles: project.sourceFiles
+      };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Push project failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // A SPIKE tab couldn't export its project for the scheduled sync
+  SCHEDULED_SYNC_FAILED: async ({ error: reason }) => {
+    try {
+      await scheduledSyncFailed(reason || 'SPIKE Prime did not export the project');
+      return { success: true };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Record scheduled sync failure failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Push several captured projects to GitHub in one commit
+  PUSH_PROJECTS: async ({ projects, repository, branch, commitMessage, onConflict, newBranch }) => {
+    try {
+      console.log('[SpikePrimeGit] Pushing projects:', projects.map(project => project.projectName));
+
+      // Validate commit message is provided
+      if (!commitMessage || !commitMessage.trim()) {
+        return { success: false, error: 'Commit message is required' };
+      }
+
+      if (!projects || projects.length === 0) {
+        return { success: false, error: 'No projects selected' };
+      }
+
+      const zipContents = [];
+      for (const project of projects) {
+        zipContents.push({ projectName: project.projectName, zipContent: await toArrayBuffer(project.zipContent) });
+      }
+
+      const result = await pushOrQueue({
+        repository,
+        branch,
+        projects: zipContents,
+        commitMessage: commitMessage.trim(),
+        onConflict,
+        newBranch
+      });
+
+      if (result.queued) {
+        return { success: false, queued: true, error: result.error };
+      }
+
+      if (result.conflict) {
+        return { success: false, conflict: true, conflicts: result.conflicts, error: 'Projects changed on GitHub' };
       }
 
-      const result = await api.pushSpikeProject({
+      return {
+        success: true,
+        commitSha: result.commitSha,
+        repository: result.repository,
+        branch: result.branch,
+        projects: result.projects
+      };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Push projects failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // List pushes waiting in the offline outbox
+  GET_OUTBOX: async () => {
+    try {
+      const items = await outbox.getOutboxItems(await profiles.getActiveProfileId());
+      return {
+        success: true,
+        items: items.map(item => ({
+          id: item.id,
+          projectNames: item.projects.map(project => project.projectName),
+          repository: item.repository,
+          branch: item.branch,
+          commitMessage: item.commitMessage,
+          createdAt: item.createdAt,
+          attempts: item.attempts,
+          nextAttemptAt: item.nextAttemptAt,
+          failed: Boolean(item.failed),
+          lastError: item.lastError
+        }))
+      };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Get outbox failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Retry every pending push now
+  RETRY_OUTBOX: async () => {
+    try {
+      const result = await retryOutbox({ force: true });
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Retry outbox failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Drop a pending push
+  DISCARD_OUTBOX_ITEM: async ({ id }) => {
+    try {
+      await outbox.removeFromOutbox(id);
+      await scheduleOutboxRetry();
+      await updateBadge();
+      return { success: true };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Discard outbox item failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Compare captured project with the version on GitHub
+  DIFF_PROJECT: async ({ projectName, zipContent, repository, branch }) => {
+    try {
+      const diff = await api.diffSpikeProject({
         repository,
         branch,
         projectName,
-        zipContent: arrayBuffer,
-        commitMessage: commitMessage.trim()
+        zipContent: await toArrayBuffer(zipContent)
       });
+      return { success: true, diff };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Diff project failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // List .llsp3 projects in the configured project folder
+  LIST_PROJECTS: async ({ repository, branch }) => {
+    try {
+      const projects = await api.listSpikeProjects(repository, branch);
+      return { success: true, projects };
+    } catch (error) {
+      console.error('[SpikePrimeGit] List projects failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Download a project so it can be opened in the SPIKE editor
+  // Pass ref (commit SHA) to download a past revision instead of the branch head
+  LOAD_PROJECT: async ({ repository, branch, path, ref }) => {
+    try {
+      const project = await api.downloadSpikeProject(repository, ref || branch, path);
+
+      // The opened copy is now based on the latest version on the branch
+      if (!ref) {
+        await api.setProjectBase(repository, branch, path, project.sha);
+      }
 
+      return {
+        success: true,
+        projectName: project.projectName,
+        sha: project.sha,
+        zipContent: toBase64(project.content)
+      };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Load project failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Get commits that touched a single project on GitHub
+  GET_PROJECT_HISTORY: async ({ repository, branch, path }) => {
+    try {
+      const commits = await api.getProjectHistory(repository, branch, path);
+      return { success: true, commits };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Get project history failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Commit a past revision of a project as the latest version
+  RESTORE_REVISION: async ({ repository, branch, path, commitSha }) => {
+    try {
+      const result = await api.restoreProjectRevision({ repository, branch, path, commitSha });
       return {
         success: true,
         commitSha: result.commitSha,
@@ -165,7 +683,42 @@ const messageHandlers = {
         action: result.action
       };
     } catch (error) {
-      console.error('[SpikePrimeGit] Push project failed:', error);
+      console.error('[SpikePrimeGit] Restore revision failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Tag a synced commit and publish it as a GitHub Release with the .llsp3 files attached
+  CREATE_RELEASE: async ({ repository, commitSha, paths, tagName, name, notes }) => {
+    try {
+      if (!tagName || !tagName.trim()) {
+        return { success: false, error: 'Tag name is required' };
+      }
+      if (!commitSha || !paths || paths.length === 0) {
+        return { success: false, error: 'Sync the project before marking it as a release' };
+      }
+      const release = await api.createProjectRelease({
+        repository,
+        commitSha,
+        paths,
+        tagName: tagName.trim(),
+        name: name?.trim(),
+        notes: notes?.trim()
+      });
+      return { success: true, release };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Create release failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // List releases of a repository
+  GET_RELEASES: async ({ repository, limit }) => {
+    try {
+      const releases = await api.listReleases(repository, limit);
+      return { success: true, releases };
+    } catch (error) {
+      console.error('[SpikePrimeGit] Get releases failed:', error);
       return { success: false, error: error.message };
     }
   },
@@ -190,8 +743,14 @@ const messageHandlers = {
         settings: result.user_settings || {
           selectedRepo: null,
           selectedBranch: null,
-          projectPath: 'projects/',
-          syncInterval: 15 // Default to 15 minutes
+          projectPath: 'projects/', // May contain {project}, {user}, {date}, {season}, {type}
+          projectFolders: false, // Save projects as <path>/<name>/<name>.llsp3
+          syncInterval: 15, // Default to 15 minutes
+          autoSync: false,
+          autoSyncDelay: 30, // Seconds to wait after the last save
+          autoSyncMessage: '', // Empty = "Auto-synced {project}"
+          sessionBranches: false, // Push each day's work to session/<date>-<user>
+          routingRules: [] // Ordered {match, pattern, repository, branch, projectPath}
         }
       };
     } catch (error) {
@@ -226,7 +785,8 @@ const messageHandlers = {
   GET_CLIENT_ID: async () => {
     try {
       const clientId = await auth.getClientId();
-      return { success: true, clientId };
+      const authFlow = await auth.getAuthFlow();
+      return { success: true, clientId, authFlow };
     } catch (error) {
       console.error('[SpikePrimeGit] Get client ID failed:', error);
       return { success: false, error: error.message };
@@ -234,9 +794,9 @@ const messageHandlers = {
   },
 
   // Set OAuth credentials
-  SET_CREDENTIALS: async ({ clientId, clientSecret }) => {
+  SET_CREDENTIALS: async ({ clientId, clientSecret, authFlow }) => {
     try {
-      await auth.setCredentials(clientId, clientSecret);
+      await auth.setCredentials(clientId, clientSecret, authFlow);
       return { success: true };
     } catch (error) {
       console.error('[SpikePrimeGit] Set credentials failed:', error);
@@ -245,12 +805,33 @@ const messageHandlers = {
   }
 };
 
+// A tab that closes or navigates mid-upload never sends the PUSH_PROJECT that would collect its chunks
+chrome.tabs.onRemoved.addListener(tabId => dropStaleUploads(tabId));
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading') {
+    dropStaleUploads(tabId);
+  }
+});
+
+// Require the PIN again when the Chromebook is left alone or its screen locks
+chrome.idle.setDetectionInterval(PIN_IDLE_TIMEOUT);
+chrome.idle.onStateChanged.addListener(async (state) => {
+  if (state === 'active') return;
+  try {
+    if (await auth.lockAll()) {
+      await connectionChanged();
+    }
+  } catch (error) {
+    console.error('[SpikePrimeGit] Idle lock failed:', error);
+  }
+});
+
 // Handle messages from content scripts and popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   const handler = messageHandlers[message.type];
 
   if (handler) {
-    handler(message.data || {})
+    handler(message.data || {}, sender)
       .then(sendResponse)
       .catch(error => {
         console.error('[SpikePrimeGit] Handler error:', error);
@@ -270,18 +851,40 @@ chrome.runtime.onInstalled.addListener(async (details) => {
       user_settings: {
         selectedRepo: null,
         selectedBranch: null,
-        projectPath: 'projects/',
-        syncInterval: 15 // Default to 15 minutes
+        projectPath: 'projects/', // May contain {project}, {user}, {date}, {season}, {type}
+        projectFolders: false, // Save projects as <path>/<name>/<name>.llsp3
+        syncInterval: 15, // Default to 15 minutes
+        autoSync: false,
+        autoSyncDelay: 30, // Seconds to wait after the last save
+        autoSyncMessage: '', // Empty = "Auto-synced {project}"
+        sessionBranches: false, // Push each day's work to session/<date>-<user>
+        routingRules: [] // Ordered {match, pattern, repository, branch, projectPath}
       }
     });
   }
 });
 
-// Update badge based on connection status
+// Update badge based on connection status and pending outbox pushes
 async function updateBadge() {
   try {
+    if (await auth.isLocked()) {
+      chrome.action.setBadgeBackgroundColor({ color: '#6B7280' }); // Gray
+      chrome.action.setBadgeText({ text: 'PIN' });
+      return;
+    }
+
     const isAuth = await auth.isAuthenticated();
-    if (isAuth) {
+    const pending = await profiles.getActiveProfileId()
+      .then(profileId => outbox.getOutboxCount(profileId))
+      .catch(() => 0);
+    const { scheduled_sync_error: scheduledSyncError } = await chrome.storage.local.get('scheduled_sync_error');
+    if (isAuth && scheduledSyncError) {
+      chrome.action.setBadgeBackgroundColor({ color: '#EF4444' }); // Red
+      chrome.action.setBadgeText({ text: '!' });
+    } else if (isAuth && pending > 0) {
+      chrome.action.setBadgeBackgroundColor({ color: '#F59E0B' }); // Amber
+      chrome.action.setBadgeText({ text: String(pending) });
+    } else if (isAuth) {
       chrome.action.setBadgeBackgroundColor({ color: '#22C55E' }); // Green
       chrome.action.setBadgeText({ text: '✓' });
     } else {
@@ -302,5 +905,310 @@ setInterval(updateBadge, 60000); // Every minute
 chrome.storage.onChanged.addListener((changes, area) => {
   if (area === 'local' && changes.github_tokens) {
     updateBadge();
+    scheduleTokenRefresh().catch(error => {
+      console.error('[SpikePrimeGit] Could not schedule token refresh:', error);
+    });
+  }
+  if (area === 'local' && changes.user_settings) {
+    scheduleSync().catch(error => {
+      console.error('[SpikePrimeGit] Could not schedule sync:', error);
+    });
+  }
+});
+
+/**
+ * Create, switch or remove a profile once nothing is using the current sign-in
+ * @param {Function} change - Profile change to run
+ * @returns {Promise<*>} Result of change
+ */
+async function changeProfile(change) {
+  // A sign-in or outbox retry in progress belongs to the current profile
+  await auth.cancelDeviceFlow();
+  if (outboxRetry) {
+    await outboxRetry.catch(() => {});
+  }
+
+  // Whoever switches next must know the PIN of the profile being left
+  await auth.lock();
+
+  const result = await change();
+  await scheduleOutboxRetry();
+  await updateBadge();
+  return result;
+}
+
+/**
+ * Refresh the badge and the SPIKE Prime cards after the PIN was entered or the tokens were locked
+ * (unlocked keys live in session storage, which content scripts can't watch)
+ */
+async function connectionChanged() {
+  await updateBadge();
+  await scheduleTokenRefresh();
+  const tabs = await chrome.tabs.query({ url: 'https://spike.legoeducation.com/*' });
+  for (const tab of tabs) {
+    chrome.tabs.sendMessage(tab.id, { type: 'UPDATE_UI' }).catch(() => {
+      // Tab without a content script - nothing to refresh
+    });
+  }
+}
+
+/**
+ * Keep polling GitHub for an approved device code (no-op if already polling)
+ */
+function resumeDeviceAuthorization() {
+  auth.waitForDeviceAuthorization().catch(error => {
+    console.error('[SpikePrimeGit] Device authorization failed:', error);
+  });
+}
+
+// Refresh the access token in the background before it expires, so syncs never wait for it
+const TOKEN_REFRESH_ALARM = 'token-refresh';
+const TOKEN_REFRESH_RETRY_DELAY = 60 * 1000;
+
+/**
+ * Set the refresh alarm from the stored token expiry (cleared when signed out or locked)
+ */
+async function scheduleTokenRefresh() {
+  const refreshTime = await auth.getTokenRefreshTime();
+  if (refreshTime === null) {
+    await chrome.alarms.clear(TOKEN_REFRESH_ALARM);
+    return;
+  }
+
+  // Already due (e.g. the last attempt found GitHub unreachable) - try again shortly
+  await chrome.alarms.create(TOKEN_REFRESH_ALARM, {
+    when: Math.max(refreshTime, Date.now() + TOKEN_REFRESH_RETRY_DELAY)
+  });
+}
+
+/**
+ * Refresh the access token if it is about to expire
+ */
+async function refreshTokenInBackground() {
+  try {
+    await auth.getValidAccessToken();
+  } catch (error) {
+    console.warn('[SpikePrimeGit] Background token refresh failed:', error.message);
+  } finally {
+    // New tokens reschedule through the storage listener; unchanged ones need a retry
+    await scheduleTokenRefresh();
+    await updateBadge();
+  }
+}
+
+// Periodic background sync: every syncInterval minutes, open SPIKE tabs export and push their project
+const SCHEDULED_SYNC_ALARM = 'scheduled-sync';
+const DEFAULT_SYNC_INTERVAL = 15; // minutes
+
+/**
+ * Create or update the sync alarm from the syncInterval setting
+ */
+async function scheduleSync() {
+  const result = await chrome.storage.local.get('user_settings');
+  const interval = Number(result.user_settings?.syncInterval) || DEFAULT_SYNC_INTERVAL;
+
+  // Re-creating an alarm restarts its countdown - only do it when the interval changed
+  const existing = await chrome.alarms.get(SCHEDULED_SYNC_ALARM);
+  if (existing && existing.periodInMinutes === interval) {
+    return;
+  }
+
+  await chrome.alarms.create(SCHEDULED_SYNC_ALARM, {
+    delayInMinutes: interval,
+    periodInMinutes: interval
+  });
+  console.log(`[SpikePrimeGit] Scheduled sync every ${interval} minutes`);
+}
+
+/**
+ * Ask every open SPIKE Prime tab to export its project and push it if it changed
+ */
+async function runScheduledSync() {
+  if (!(await auth.isAuthenticated())) {
+    console.log('[SpikePrimeGit] Scheduled sync skipped - not connected');
+    return;
+  }
+
+  const result = await chrome.storage.local.get('user_settings');
+  const settings = result.user_settings || {};
+  if (!settings.selectedRepo || !settings.selectedBranch) {
+    console.log('[SpikePrimeGit] Scheduled sync skipped - no repository selected');
+    return;
+  }
+
+  const tabs = await chrome.tabs.query({ url: 'https://spike.legoeducation.com/*' });
+  for (const tab of tabs) {
+    try {
+      await chrome.tabs.sendMessage(tab.id, { type: 'SCHEDULED_SYNC' });
+    } catch (error) {
+      // Tab opened before the extension was installed/reloaded - no content script to answer
+      console.log(`[SpikePrimeGit] Scheduled sync skipped for tab ${tab.id}:`, error.message);
+    }
+  }
+}
+
+// A SPIKE tab that can't export for the scheduled sync is retried a few times before the next interval
+const SCHEDULED_SYNC_RETRY_ALARM = 'scheduled-sync-retry';
+const SCHEDULED_SYNC_RETRY_DELAY = 2; // minutes
+const SCHEDULED_SYNC_MAX_RETRIES = 3;
+
+/**
+ * Record a scheduled sync that couldn't export the project, show it on the badge and retry soon
+ * @param {string} error - Why the export failed
+ */
+async function scheduledSyncFailed(error) {
+  const result = await chrome.storage.local.get(['scheduled_sync_error', 'user_settings']);
+  const settings = result.user_settings || {};
+  const retries = result.scheduled_sync_error?.retries || 0;
+
+  console.warn('[SpikePrimeGit] Scheduled sync failed:', error);
+  await api.recordSyncFailure({
+    projectName: 'Scheduled sync',
+    repository: settings.selectedRepo,
+    branch: settings.selectedBranch,
+    error
+  });
+  await chrome.storage.local.set({
+    scheduled_sync_error: { error, failedAt: Date.now(), retries: retries + 1 }
+  });
+
+  if (retries < SCHEDULED_SYNC_MAX_RETRIES) {
+    await chrome.alarms.create(SCHEDULED_SYNC_RETRY_ALARM, { delayInMinutes: SCHEDULED_SYNC_RETRY_DELAY });
+  }
+  await updateBadge();
+}
+
+/**
+ * Forget a failed scheduled sync once a push went through
+ */
+async function clearScheduledSyncError() {
+  const { scheduled_sync_error: scheduledSyncError } = await chrome.storage.local.get('scheduled_sync_error');
+  if (!scheduledSyncError) return;
+
+  await chrome.storage.local.remove('scheduled_sync_error');
+  await chrome.alarms.clear(SCHEDULED_SYNC_RETRY_ALARM);
+  await updateBadge();
+}
+
+// Offline outbox: failed pushes are retried with exponential backoff
+const OUTBOX_RETRY_ALARM = 'outbox-retry';
+let outboxRetry = null;
+
+/**
+ * Push projects, keeping the push in the outbox if GitHub can't be reached
+ * @param {Object} push - Parameters for api.pushSpikeProjects()
+ * @returns {Promise<Object>} Push result, or {queued: true, error} if the push was stored for later
+ * @throws {Error} If the push failed for a reason retrying won't fix
+ */
+async function pushOrQueue(push) {
+  try {
+    const result = await api.pushSpikeProjects(push);
+    if (result.conflict) {
+      return result;
+    }
+
+    // A project got through - an earlier failed scheduled export no longer needs attention
+    await clearScheduledSyncError();
+
+    // GitHub is reachable again - send anything left over from earlier
+    retryOutbox().catch(error => console.error('[SpikePrimeGit] Outbox retry failed:', error));
+
+    return result;
+  } catch (error) {
+    if (!outbox.isRetryableError(error)) {
+      throw error;
+    }
+
+    console.warn('[SpikePrimeGit] Push failed, keeping it in the outbox:', error.message);
+    await outbox.addToOutbox({ ...push, profileId: await profiles.getActiveProfileId() }, error.message);
+    await scheduleOutboxRetry();
+    await updateBadge();
+    return { queued: true, error: error.message };
   }
+}
+
+/**
+ * Send pending outbox pushes (one run at a time)
+ * @param {Object} [options] - See outbox.processOutbox()
+ * @returns {Promise<{sent: number, failed: number, remaining: number}>}
+ */
+async function retryOutbox(options = {}) {
+  // Locked tokens can't push - wait for the PIN
+  if (await auth.isLocked()) {
+    return { sent: 0, failed: 0, remaining: await outbox.getOutboxCount(await profiles.getActiveProfileId()) };
+  }
+
+  if (!outboxRetry) {
+    outboxRetry = (async () => {
+      try {
+        const profileId = await profiles.getActiveProfileId();
+        const result = await outbox.processOutbox(async (push) => {
+          const pushResult = await api.pushSpikeProjects(push);
+          if (pushResult.conflict) {
+            // Needs a decision from the user - sync the project again from SPIKE Prime
+            throw new Error(`${pushResult.conflicts.map(conflict => conflict.projectName).join(', ')} changed on GitHub in the meantime`);
+          }
+        }, { ...options, profileId });
+        if (result.sent > 0 || result.failed > 0) {
+          console.log('[SpikePrimeGit] Outbox retry:', result);
+        }
+        return result;
+      } finally {
+        outboxRetry = null;
+        await scheduleOutboxRetry();
+        await updateBadge();
+      }
+    })();
+  }
+  return outboxRetry;
+}
+
+/**
+ * Set the retry alarm to the earliest pending retry
+ */
+async function scheduleOutboxRetry() {
+  const nextRetry = await outbox.getNextRetryTime(await profiles.getActiveProfileId());
+  if (nextRetry === null) {
+    await chrome.alarms.clear(OUTBOX_RETRY_ALARM);
+    return;
+  }
+  await chrome.alarms.create(OUTBOX_RETRY_ALARM, { when: Math.max(nextRetry, Date.now() + 1000) });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SCHEDULED_SYNC_ALARM || alarm.name === SCHEDULED_SYNC_RETRY_ALARM) {
+    runScheduledSync().catch(error => {
+      console.error('[SpikePrimeGit] Scheduled sync failed:', error);
+    });
+  } else if (alarm.name === OUTBOX_RETRY_ALARM) {
+    retryOutbox().catch(error => {
+      console.error('[SpikePrimeGit] Outbox retry failed:', error);
+    });
+  } else if (alarm.name === TOKEN_REFRESH_ALARM) {
+    refreshTokenInBackground();
+  }
+});
+
+// Retry right away when the connection comes back - pushes GitHub rejected stay failed
+self.addEventListener('online', () => {
+  retryOutbox({ now: true }).catch(error => {
+    console.error('[SpikePrimeGit] Outbox retry failed:', error);
+  });
+});
+
+scheduleSync().catch(error => {
+  console.error('[SpikePrimeGit] Could not schedule sync:', error);
+});
+auth.getDeviceFlowStatus().then(status => {
+  if (status?.status === 'pending') {
+    resumeDeviceAuthorization();
+  }
+}).catch(error => {
+  console.error('[SpikePrimeGit] Could not resume sign-in:', error);
+});
+scheduleOutboxRetry().catch(error => {
+  console.error('[SpikePrimeGit] Could not schedule outbox retry:', error);
+});
+scheduleTokenRefresh().catch(error => {
+  console.error('[SpikePrimeGit] Could not schedule token refresh:', error);
 });
@@ -21,13 +21,39 @@ const csLogger = (typeof window.createLogger === 'function')
 
 let uiInjector = null;
 let capturedProject = null; // Store captured project data from MAIN world
+let captureQueue = []; // Every project exported this session, oldest first, with a `selected` flag
+let lastSync = null; // Last commit made from this tab, for "Mark as release"
+let scheduledExportId = null; // Export the background scheduler is waiting for
+
+// Auto-sync waits for saves to settle, then commits every project saved meanwhile together
+const DEFAULT_AUTO_SYNC_DELAY = 30; // seconds
+const DEFAULT_AUTO_SYNC_MESSAGE = 'Auto-synced {project}';
+let autoSyncTimer = null;
+let autoSyncPending = new Set(); // Names of projects saved since the last auto-sync
+
+// GitHub rejects files larger than 100 MB outright
+const GITHUB_MAX_FILE_SIZE = 100 * 1024 * 1024;
+
+// Projects above this size are sent to the background in several messages
+// (extension messages are capped at 64 MiB, and base64 adds a third)
+const MESSAGE_CHUNK_BYTES = 12 * 1024 * 1024;
+
+// Bytes per btoa() call when encoding; must be a multiple of 3
+const BASE64_SLICE_SIZE = 3 * 8192;
 
 /**
  * Initialize SpikePrimeGit on SPIKE page
  */
 function initialize() {
   csLogger.info('Initializing SpikePrimeGit Content Script...');
-  uiInjector = new UIInjector(handleSync);
+  uiInjector = new UIInjector(handleSync, {
+    onDiffClick: handleDiff,
+    onLoadClick: handleLoad,
+    onQueueToggle: toggleQueuedProject,
+    onQueueRemove: removeQueuedProject,
+    onReleaseClick: handleRelease,
+    onProfileChange: handleProfileChange
+  });
   uiInjector.inject();
   uiInjector.listenForChanges();
   csLogger.success('UI Injector initialized');
@@ -45,19 +71,31 @@ function initialize() {
     };
 
     csLogger.success(`Project stored in ISOLATED world: ${capturedProject.name} (${capturedProject.size} bytes)`);
+    queueCapturedProject(capturedProject);
 
     // Check if auto-sync is enabled
     csLogger.info('Checking auto-sync settings...');
     const settings = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
 
+    // Exports requested by the background scheduler are always pushed, right away
+    // (only the one it is waiting for - anything else is a normal save)
+    if (event.detail.scheduled && event.detail.requestId === scheduledExportId) {
+      scheduledExportId = null;
+      csLogger.info('Scheduled export captured - initiating sync');
+      scheduleAutoSync(event.detail.projectName, settings.settings || {}, 0);
+      csLogger.groupEnd();
+      return;
+    }
+
     if (settings.success && settings.settings.autoSync) {
-      csLogger.info('Auto-sync is ENABLED - initiating sync');
+      const delay = settings.settings.autoSyncDelay || DEFAULT_AUTO_SYNC_DELAY;
+      csLogger.info(`Auto-sync is ENABLED - syncing in ${delay}s unless saved again`);
       uiInjector.showNotification(
-        `Project "${event.detail.projectName}" captured - syncing to GitHub...`,
+        `Project "${event.detail.projectName}" captured - syncing to GitHub in ${delay}s...`,
         'info',
         2000
       );
-      setTimeout(() => handleSync(`Auto-synced ${event.detail.projectName}`, true), 500);
+      scheduleAutoSync(event.detail.projectName, settings.settings, delay * 1000);
     } else {
       csLogger.info('Auto-sync is DISABLED - waiting for manual trigger');
       uiInjector.showNotification(
@@ -69,10 +107,71 @@ function initialize() {
     csLogger.groupEnd();
   });
 
+  // A scheduled export that couldn't be made - report it so the scheduler shows it and tries again
+  window.addEventListener('spikeprimegit:export-unavailable', (event) => {
+    const { requestId, reason } = event.detail || {};
+    if (!requestId || requestId !== scheduledExportId) return;
+    scheduledExportId = null;
+
+    csLogger.warn('Scheduled export failed:', reason);
+    chrome.runtime.sendMessage({ type: 'SCHEDULED_SYNC_FAILED', data: { error: reason } }).catch(error => {
+      csLogger.error('Could not report scheduled sync failure:', error);
+    });
+  });
+
+  // The interceptor reports whether it could start SPIKE's open flow by itself
+  window.addEventListener('spikeprimegit:open-ready', (event) => {
+    const { projectName, triggered } = event.detail || {};
+    if (triggered) {
+      uiInjector.showNotification(`Opening "${projectName}" from GitHub...`, 'info', 3000);
+    } else {
+      uiInjector.showNotification(
+        `"${projectName}" downloaded from GitHub.\n\nUse Open/Import in SPIKE Prime within a minute to load it.`,
+        'info',
+        10000
+      );
+    }
+  });
+
+  // Show the pull request for the selected branch, if there is one
+  showCurrentPullRequest();
+
   csLogger.success('Content script initialization complete');
 }
 
-async function handleSync(commitMessage = null, isAutoSync = false) {
+/**
+ * Queue a project for auto-sync, restarting the debounce window
+ * @param {string} projectName - Project that was just saved
+ * @param {Object} settings - User settings (autoSyncMessage)
+ * @param {number} delay - Milliseconds to wait for further saves
+ */
+function scheduleAutoSync(projectName, settings, delay) {
+  autoSyncPending.add(projectName);
+  clearTimeout(autoSyncTimer);
+
+  autoSyncTimer = setTimeout(() => {
+    const projectNames = [...autoSyncPending];
+    autoSyncPending = new Set();
+    autoSyncTimer = null;
+
+    const template = settings.autoSyncMessage || DEFAULT_AUTO_SYNC_MESSAGE;
+    const commitMessage = template.replace(/\{project\}/g, projectNames.join(', '));
+    csLogger.info(`Auto-sync window closed - syncing ${projectNames.length} project(s)`);
+    handleSync(commitMessage, true, { projectNames });
+  }, delay);
+}
+
+/**
+ * Push captured projects to GitHub
+ * @param {string|null} commitMessage - Commit message (required for manual syncs)
+ * @param {boolean} isAutoSync - Triggered by auto-sync or the scheduler rather than the Sync button
+ * @param {Object} [options]
+ * @param {Array<string>} [options.projectNames] - Projects to push (default: ticked projects, or the
+ *   latest capture on auto-sync)
+ * @param {string} [options.onConflict] - Conflict resolution chosen by the user: 'overwrite', 'copy' or 'branch'
+ * @param {string} [options.newBranch] - Branch name for the 'branch' resolution
+ */
+async function handleSync(commitMessage = null, isAutoSync = false, options = {}) {
   csLogger.separator();
   csLogger.group(`🚀 Handle Sync ${isAutoSync ? '(AUTO)' : '(MANUAL)'}`);
   csLogger.info(`Commit message: "${commitMessage}"`);
@@ -155,7 +254,25 @@ async function handleSync(commitMessage = null, isAutoSync = false) {
       return;
     }
 
-    csLogger.success(`✓ Project captured: ${capturedProject.name} (${capturedProject.size} bytes)`);
+    // Auto-sync pushes the projects saved in its window; manual sync pushes the projects ticked in the card
+    let projects = captureQueue.filter(project => project.selected);
+    if (options.projectNames) {
+      projects = captureQueue.filter(project => options.projectNames.includes(project.name));
+    } else if (isAutoSync) {
+      projects = [capturedProject];
+    }
+    if (projects.length === 0) {
+      csLogger.warn('No queued project selected');
+      if (!isAutoSync) {
+        uiInjector.showNotification('Select at least one captured project to sync', 'error');
+      }
+      csLogger.groupEnd();
+      return;
+    }
+
+    const projectNames = projects.map(project => project.name);
+    const projectLabel = projectNames.map(name => `"${name}"`).join(', ');
+    csLogger.success(`✓ Projects to sync: ${projectLabel}`);
 
     // Validate commit message (required when not auto-syncing)
     csLogger.info('Step 4: Validating commit message...');
@@ -169,60 +286,122 @@ async function handleSync(commitMessage = null, isAutoSync = false) {
       return;
     }
 
-    csLogger.success(`✓ Commit message: "${commitMessage || `Synced project: ${capturedProject.name}`}"`);
+    const message = commitMessage || `Synced project: ${projectNames.join(', ')}`;
+    csLogger.success(`✓ Commit message: "${message}"`);
 
-    csLogger.info('Step 5: Converting project to base64...');
+    csLogger.info('Step 5: Converting projects to base64...');
     uiInjector.showLoading('Syncing to GitHub...');
-    const base64Content = arrayBufferToBase64(capturedProject.content);
-    csLogger.info(`Base64 content length: ${base64Content.length} chars`);
+    const projectData = [];
+    for (const project of projects) {
+      projectData.push({ projectName: project.name, zipContent: await prepareProjectContent(project) });
+    }
 
-    csLogger.info('Step 6: Sending PUSH_PROJECT message to background...');
+    csLogger.info('Step 6: Sending PUSH_PROJECTS message to background...');
     const pushData = {
-      projectName: capturedProject.name,
-      zipContent: base64Content,
+      projects: projectData,
       repository: settings.selectedRepo,
       branch: settings.selectedBranch,
-      commitMessage: commitMessage || `Synced project: ${capturedProject.name}`
+      commitMessage: message,
+      onConflict: options.onConflict,
+      newBranch: options.newBranch
     };
     csLogger.state('Push Data', {
-      projectName: pushData.projectName,
+      projects: projectNames,
       repository: pushData.repository,
       branch: pushData.branch,
       commitMessage: pushData.commitMessage,
-      contentSize: pushData.zipContent.length
+      contentSize: projects.reduce((total, project) => total + project.content.byteLength, 0)
     });
 
     const response = await chrome.runtime.sendMessage({
-      type: 'PUSH_PROJECT',
+      type: 'PUSH_PROJECTS',
       data: pushData
     });
 
     csLogger.state('Push Response', response);
 
-    if (response.success) {
-      csLogger.success('✓ Project pushed successfully!');
-      const successMessage = isAutoSync
-        ? `✅ Auto-synced "${capturedProject.name}" to GitHub`
-        : `✅ Synced "${capturedProject.name}" to GitHub`;
+    if (response.conflict) {
+      // Nothing was committed - let the user decide, then push the same projects again
+      csLogger.warn('Projects changed on GitHub since the last sync/load:', response.conflicts);
+      uiInjector.setButtonState('default');
+      uiInjector.showConflicts(response.conflicts, settings.selectedBranch, (resolution, newBranch) =>
+        handleSync(message, isAutoSync, { projectNames, onConflict: resolution, newBranch })
+      );
+      csLogger.groupEnd();
+      return;
+    } else if (response.success && !response.commitSha) {
+      csLogger.info('Projects unchanged since last sync - no commit created');
+      uiInjector.updateSyncStatus({
+        success: true,
+        upToDate: true,
+        projectName: projectNames.join(', '),
+        fileUrl: response.projects[0]?.fileUrl,
+        isAutoSync: isAutoSync
+      });
+      uiInjector.closePanel();
+    } else if (response.success) {
+      csLogger.success('✓ Projects pushed successfully!');
+      let successMessage = isAutoSync
+        ? `✅ Auto-synced ${projectLabel} to GitHub`
+        : `✅ Synced ${projectLabel} to GitHub`;
+      if (response.repository !== settings.selectedRepo) {
+        successMessage += ` (${response.repository})`;
+      }
+      if (response.branch !== settings.selectedBranch) {
+        successMessage += ` on branch "${response.branch}"`;
+      }
 
       uiInjector.updateSyncStatus({
         success: true,
-        projectName: capturedProject.name,
+        projectName: projectNames.join(', '),
         commitSha: response.commitSha,
-        fileUrl: response.fileUrl,
+        fileUrl: response.projects[0]?.fileUrl,
         isAutoSync: isAutoSync
       });
 
       uiInjector.showNotification(successMessage, 'success', 5000);
-      if (!isAutoSync) {
-        csLogger.info('Clearing captured project (manual sync)');
-        capturedProject = null;
+      uiInjector.closePanel();
+
+      // Remember the commit so it can be marked as a release (with several destinations, the last one)
+      const released = response.projects.filter(project => project.commitSha === response.commitSha);
+      if (released.length > 0) {
+        lastSync = {
+          repository: released[0].repository,
+          commitSha: response.commitSha,
+          projects: released,
+          message
+        };
+        uiInjector.showReleaseButton(true);
       }
+
+      // Pushes to a feature branch can go straight on to a pull request
+      await refreshPullRequest(response.repository, response.branch, !isAutoSync)
+        .catch(error => csLogger.warn('Could not check pull request:', error.message));
+    } else if (response.queued) {
+      // The service worker keeps the push and retries it when GitHub is reachable again
+      csLogger.warn('GitHub unreachable - push kept in the outbox:', response.error);
+      uiInjector.updateSyncStatus({
+        success: false,
+        queued: true,
+        projectName: projectNames.join(', '),
+        error: response.error,
+        isAutoSync: isAutoSync
+      });
     } else {
       csLogger.error('Push failed:', response.error);
       throw new Error(response.error || 'Unknown error');
     }
 
+    // Pushed (or queued in the outbox) - take the projects off the queue, unless saved again meanwhile
+    csLogger.info('Removing synced projects from the queue');
+    const wasPushed = queued => projects.some(project =>
+      project.name === queued.name && project.timestamp === queued.timestamp);
+    captureQueue = captureQueue.filter(queued => !wasPushed(queued));
+    if (capturedProject && wasPushed(capturedProject)) {
+      capturedProject = captureQueue[captureQueue.length - 1] || null;
+    }
+    uiInjector.showCaptureQueue(captureQueue);
+
     csLogger.groupEnd();
   } catch (error) {
     csLogger.error('Sync error:', error);
@@ -234,6 +413,317 @@ async function handleSync(commitMessage = null, isAutoSync = false) {
   }
 }
 
+/**
+ * Add a captured project to the queue, replacing an earlier export of the same project
+ * @param {Object} project - Captured project
+ */
+function queueCapturedProject(project) {
+  captureQueue = captureQueue.filter(queued => queued.name !== project.name);
+  captureQueue.push({ ...project, selected: true });
+  uiInjector.showCaptureQueue(captureQueue);
+}
+
+/**
+ * Tick or untick a queued project
+ * @param {string} name - Project name
+ * @param {boolean} selected - Whether to include it in the next sync
+ */
+function toggleQueuedProject(name, selected) {
+  const project = captureQueue.find(queued => queued.name === name);
+  if (project) {
+    project.selected = selected;
+  }
+}
+
+/**
+ * Drop a project from the queue without syncing it
+ * @param {string} name - Project name
+ */
+function removeQueuedProject(name) {
+  captureQueue = captureQueue.filter(queued => queued.name !== name);
+  if (capturedProject && capturedProject.name === name) {
+    capturedProject = captureQueue[captureQueue.length - 1] || null;
+  }
+  uiInjector.showCaptureQueue(captureQueue);
+}
+
+/**
+ * Get user settings, notifying the user if no repository/branch is selected
+ * @param {Object} [options]
+ * @param {boolean} [options.quiet] - Don't notify when settings are incomplete
+ * @returns {Promise<Object|null>} Settings, or null if incomplete
+ */
+async function getRepoSettings(options = {}) {
+  const settingsResponse = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+  if (!settingsResponse.success) {
+    throw new Error('Failed to get settings');
+  }
+
+  const settings = settingsResponse.settings;
+  if (!settings.selectedRepo || !settings.selectedBranch) {
+    if (!options.quiet) {
+      uiInjector.showNotification('Please select a repository and branch in settings', 'error');
+    }
+    return null;
+  }
+  return settings;
+}
+
+/**
+ * Show the pull request of the selected repository and branch, if there is one
+ */
+function showCurrentPullRequest() {
+  getRepoSettings({ quiet: true })
+    .then(settings => settings && refreshPullRequest(settings.selectedRepo, settings.selectedBranch, false))
+    .catch(error => csLogger.warn('Could not check pull request:', error.message));
+}
+
+/**
+ * Forget what belonged to the previous profile once another one is active
+ */
+function handleProfileChange() {
+  lastSync = null;
+  uiInjector.showReleaseButton(false);
+  uiInjector.showPullRequestStatus(null);
+  showCurrentPullRequest();
+}
+
+/**
+ * Tag the last sync and publish it as a GitHub Release
+ */
+function handleRelease() {
+  if (!lastSync) {
+    uiInjector.showNotification('Sync your project first, then mark it as a release', 'info');
+    return;
+  }
+
+  const { repository, commitSha, projects, message } = lastSync;
+  const projectNames = projects.map(project => project.projectName);
+  const now = new Date();
+  const stamp = `${now.toISOString().slice(0, 10)}-${now.toTimeString().slice(0, 5).replace(':', '')}`;
+  const tagPrefix = projects.length === 1
+    ? projects[0].projectName.toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '')
+    : 'release';
+
+  uiInjector.showReleaseForm({
+    tagName: `${tagPrefix || 'release'}-${stamp}`,
+    name: `${projectNames.join(', ')} (${now.toLocaleString()})`,
+    notes: message,
+    projectNames
+  }, async ({ tagName, name, notes }) => {
+    const response = await chrome.runtime.sendMessage({
+      type: 'CREATE_RELEASE',
+      data: {
+        repository,
+        commitSha,
+        paths: projects.map(project => project.filePath),
+        tagName,
+        name,
+        notes
+      }
+    });
+
+    if (!response.success) {
+      uiInjector.showNotification('Could not create release: ' + response.error, 'error');
+      return false;
+    }
+
+    uiInjector.showNotification(`Released ${tagName} on GitHub`, 'success');
+    return true;
+  });
+}
+
+/**
+ * Show the pull request for a branch in the card, optionally offering to open one
+ * @param {string} repository - Repository in "owner/repo" format
+ * @param {string} branch - Branch to check
+ * @param {boolean} offerDraft - Show the "Open pull request" panel if the branch has unmerged commits
+ */
+async function refreshPullRequest(repository, branch, offerDraft) {
+  const response = await chrome.runtime.sendMessage({
+    type: 'GET_PULL_REQUEST',
+    data: { repository, branch }
+  });
+
+  if (!response.success) {
+    csLogger.warn('Could not check pull request:', response.error);
+    return;
+  }
+
+  uiInjector.showPullRequestStatus(response.pullRequest);
+
+  if (offerDraft && response.draft) {
+    uiInjector.showPullRequestDraft(response.draft, branch, response.defaultBranch, async (title, body) => {
+      const created = await chrome.runtime.sendMessage({
+        type: 'CREATE_PULL_REQUEST',
+        data: { repository, branch, title, body }
+      });
+
+      if (!created.success) {
+        uiInjector.showNotification('Could not open pull request: ' + created.error, 'error');
+        return false;
+      }
+
+      uiInjector.showPullRequestStatus(created.pullRequest);
+      uiInjector.showNotification(`Opened pull request #${created.pullRequest.number}`, 'success');
+      return true;
+    });
+  }
+}
+
+/**
+ * List projects on GitHub in the card so the user can pick one to open
+ */
+async function handleLoad() {
+  const settings = await getRepoSettings();
+  if (!settings) return;
+
+  const response = await chrome.runtime.sendMessage({
+    type: 'LIST_PROJECTS',
+    data: { repository: settings.selectedRepo, branch: settings.selectedBranch }
+  });
+
+  if (!response.success) {
+    throw new Error(response.error || 'Unknown error');
+  }
+
+  uiInjector.showProjectList(response.projects, settings.selectedBranch, async (project) => {
+    try {
+      await openProjectFromGitHub(project.path, project);
+    } catch (error) {
+      csLogger.error('Open project failed:', error);
+      uiInjector.showNotification('Could not load from GitHub: ' + error.message, 'error');
+    }
+  });
+}
+
+/**
+ * Download a project from GitHub and hand it to the SPIKE app's open flow
+ * @param {string} path - File path in repository
+ * @param {Object} [location] - Repository and branch the project was listed in
+ *   (defaults to the selected ones - routing rules can put projects elsewhere)
+ */
+async function openProjectFromGitHub(path, location = {}) {
+  csLogger.group(`📥 Open project from GitHub: ${path}`);
+
+  try {
+    const settings = await getRepoSettings();
+    if (!settings) return;
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'LOAD_PROJECT',
+      data: {
+        repository: location.repository || settings.selectedRepo,
+        branch: location.branch || settings.selectedBranch,
+        path
+      }
+    });
+
+    if (!response.success) {
+      throw new Error(response.error || 'Unknown error');
+    }
+
+    csLogger.success(`✓ Downloaded "${response.projectName}"`);
+
+    // The MAIN world interceptor serves it to the next open dialog
+    window.dispatchEvent(new CustomEvent('spikeprimegit:open-project', {
+      detail: {
+        projectName: response.projectName,
+        content: base64ToArrayBuffer(response.zipContent)
+      }
+    }));
+  } finally {
+    csLogger.groupEnd();
+  }
+}
+
+/**
+ * Compare the captured project with the version on GitHub and show the result in the card
+ */
+async function handleDiff() {
+  csLogger.group('🔍 Handle Diff');
+
+  try {
+    if (!capturedProject) {
+      csLogger.warn('No project captured - nothing to compare');
+      uiInjector.showNotification(
+        '⚠️ No project captured yet. Download/Export your project from SPIKE Prime first.',
+        'error'
+      );
+      return;
+    }
+
+    const settings = await getRepoSettings();
+    if (!settings) return;
+
+    csLogger.info(`Comparing "${capturedProject.name}" with ${settings.selectedRepo}@${settings.selectedBranch}`);
+    const zipContent = await prepareProjectContent(capturedProject);
+    const response = await chrome.runtime.sendMessage({
+      type: 'DIFF_PROJECT',
+      data: {
+        projectName: capturedProject.name,
+        zipContent,
+        repository: settings.selectedRepo,
+        branch: settings.selectedBranch
+      }
+    });
+
+    csLogger.state('Diff Response', response);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Unknown error');
+    }
+
+    uiInjector.showDiff(response.diff, settings.selectedBranch);
+  } finally {
+    csLogger.groupEnd();
+  }
+}
+
+/**
+ * Encode a project for the background script
+ * Small projects travel inline as base64; large ones are uploaded in UPLOAD_CHUNK messages first
+ * @param {Object} project - Captured project
+ * @returns {Promise<string|{uploadId: string}>} Base64 content or chunked upload reference
+ * @throws {Error} If the project is over GitHub's file size limit or the upload fails
+ */
+async function prepareProjectContent(project) {
+  const size = project.content.byteLength;
+  const toMB = bytes => (bytes / (1024 * 1024)).toFixed(1);
+
+  if (size > GITHUB_MAX_FILE_SIZE) {
+    throw new Error(
+      `"${project.name}" is ${toMB(size)} MB - GitHub does not accept files over ${toMB(GITHUB_MAX_FILE_SIZE)} MB. ` +
+      'Remove unused sounds or images from the project and try again.'
+    );
+  }
+
+  if (size <= MESSAGE_CHUNK_BYTES) {
+    return arrayBufferToBase64(project.content);
+  }
+
+  const uploadId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  const chunkCount = Math.ceil(size / MESSAGE_CHUNK_BYTES);
+  csLogger.info(`Project is ${toMB(size)} MB - uploading in ${chunkCount} chunks`);
+
+  for (let index = 0; index < chunkCount; index++) {
+    const start = index * MESSAGE_CHUNK_BYTES;
+    const response = await chrome.runtime.sendMessage({
+      type: 'UPLOAD_CHUNK',
+      data: {
+        uploadId,
+        index,
+        data: arrayBufferToBase64(project.content.slice(start, start + MESSAGE_CHUNK_BYTES))
+      }
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to send project to the extension');
+    }
+  }
+
+  return { uploadId };
+}
+
 /**
  * Convert ArrayBuffer to base64
  * @param {ArrayBuffer} buffer
@@ -241,11 +731,26 @@ async function handleSync(commitMessage = null, isAutoSync = false) {
  */
 function arrayBufferToBase64(buffer) {
   const bytes = new Uint8Array(buffer);
-  let binary = '';
-  for (let i = 0; i < bytes.byteLength; i++) {
-    binary += String.fromCharCode(bytes[i]);
+  const chunks = [];
+  // Encode slice by slice (a multiple of 3 bytes) instead of building one huge binary string
+  for (let i = 0; i < bytes.byteLength; i += BASE64_SLICE_SIZE) {
+    chunks.push(btoa(String.fromCharCode.apply(null, bytes.subarray(i, i + BASE64_SLICE_SIZE))));
+  }
+  return chunks.join('');
+}
+
+/**
+ * Convert base64 to ArrayBuffer
+ * @param {string} base64
+ * @returns {ArrayBuffer}
+ */
+function base64ToArrayBuffer(base64) {
+  const binaryString = atob(base64);
+  const bytes = new Uint8Array(binaryString.length);
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
   }
-  return btoa(binary);
+  return bytes.buffer;
 }
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -263,12 +768,34 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
       return true; // Async response
 
+    case 'SCHEDULED_SYNC':
+      // The interceptor exports the open project; the capture listener above pushes it
+      csLogger.info('SCHEDULED_SYNC triggered by background scheduler');
+      scheduledExportId = crypto.randomUUID();
+      window.dispatchEvent(new CustomEvent('spikeprimegit:export-project', {
+        detail: { requestId: scheduledExportId }
+      }));
+      sendResponse({ success: true });
+      break;
+
+    case 'OPEN_PROJECT':
+      csLogger.info(`OPEN_PROJECT triggered from popup: ${message.path}`);
+      openProjectFromGitHub(message.path, { repository: message.repository, branch: message.branch }).then(() => {
+        sendResponse({ success: true });
+      }).catch(error => {
+        csLogger.error('OPEN_PROJECT failed:', error);
+        uiInjector.showNotification('Could not load from GitHub: ' + error.message, 'error');
+        sendResponse({ success: false, error: error.message });
+      });
+      return true; // Async response
+
     case 'GET_PROJECT_INFO':
       csLogger.info('GET_PROJECT_INFO requested');
       const projectInfo = capturedProject ? {
         name: capturedProject.name,
         size: capturedProject.size,
-        timestamp: capturedProject.timestamp
+        timestamp: capturedProject.timestamp,
+        queued: captureQueue.length
       } : null;
       csLogger.state('Returning project info', projectInfo);
       sendResponse({
@@ -305,4 +832,5 @@ window.addEventListener('unload', () => {
   csLogger.info('Page unloading - cleaning up');
   if (uiInjector) uiInjector.remove();
   capturedProject = null;
+  captureQueue = [];
 });
@@ -6,10 +6,35 @@
 // Initialize logger
 const logger = window.createLogger('interceptor');
 
+// How long a scheduled export may wait for SPIKE to start saving before it is reported as failed
+const EXPORT_TIMEOUT = 30 * 1000;
+
+// How long a blob capture waits for a named download link to take it over (FileSaver.js clicks one right away)
+const BLOB_CAPTURE_DELAY = 500;
+
+// How long a project loaded from GitHub waits for SPIKE's open dialog before it is dropped
+const OPEN_FILE_TIMEOUT = 60 * 1000;
+
+// File types and extensions (as in accept attributes and picker types) that mean a project can be opened
+const PROJECT_ACCEPT_TYPES = ['.llsp3', '.zip', 'application/zip', 'application/x-zip-compressed'];
+
+/**
+ * Check whether an open dialog takes SPIKE projects rather than sounds or images
+ * @param {Array<string>} acceptTypes - Extensions and MIME types the dialog accepts
+ * @returns {boolean}
+ */
+function acceptsProject(acceptTypes) {
+  return acceptTypes.some(type => PROJECT_ACCEPT_TYPES.includes(type.trim().toLowerCase()));
+}
+
 class SpikeInterceptor {
   constructor() {
     this.capturedProject = null;
     this.projectName = null;
+    this.pendingBlobCaptures = new Map(); // Blob URL -> timer, until we know whether a named download follows
+    this.pendingOpenFile = null; // Project loaded from GitHub, waiting for SPIKE's open flow
+    this.pendingOpenTimer = null;
+    this.scheduledExport = null; // {requestId, claimed} while background sync waits for an export - captured without a save dialog
     this.observers = [];
     logger.info('Initializing SpikeInterceptor...');
     this.setupInterceptors();
@@ -24,6 +49,9 @@ class SpikeInterceptor {
     this.interceptFileSystemAPI();
     this.interceptBlobDownloads();
     this.monitorDownloadButtons();
+    this.interceptFileInputs();
+    this.listenForOpenRequests();
+    this.listenForExportRequests();
     logger.info('All interceptors set up');
   }
 
@@ -116,6 +144,13 @@ class SpikeInterceptor {
       logger.info('Intercepting showSaveFilePicker (Download/Export)');
       window.showSaveFilePicker = async function(options) {
         logger.info('🔽 showSaveFilePicker called (Download/Export)');
+
+        // Scheduled export: keep the file in memory instead of asking where to save it
+        if (self.claimScheduledExport()) {
+          logger.info('Scheduled export - capturing without a save dialog');
+          return self.createCaptureHandle(options?.suggestedName || `${self.findProjectName()}.llsp3`);
+        }
+
         const handle = await originalShowSaveFilePicker.apply(this, arguments);
         return wrapFileHandle(handle);
       };
@@ -129,6 +164,16 @@ class SpikeInterceptor {
       logger.info('Intercepting showOpenFilePicker (Upload/Open)');
       window.showOpenFilePicker = async function(options) {
         logger.info('🔼 showOpenFilePicker called (Upload/Open)');
+
+        // Hand over a project loaded from GitHub instead of showing the native picker
+        const acceptTypes = (options?.types || [])
+          .flatMap(type => Object.entries(type.accept || {}).flat(2));
+        const pendingFile = acceptsProject(acceptTypes) ? self.takePendingOpenFile() : null;
+        if (pendingFile) {
+          logger.success(`✓ Serving project from GitHub: ${pendingFile.name}`);
+          return [self.createFileHandle(pendingFile)];
+        }
+
         const handles = await originalShowOpenFilePicker.apply(this, arguments);
 
         // showOpenFilePicker returns an array of file handles
@@ -176,12 +221,16 @@ class SpikeInterceptor {
 
         if (isLikelyProject) {
           logger.info(`Blob URL created for likely project - size: ${blob.size}, type: ${blob.type}`);
-          blob.arrayBuffer().then(arrayBuffer => {
-            logger.info(`Capturing project via BlobURL, size: ${arrayBuffer.byteLength} bytes`);
-            self.captureProject(arrayBuffer, 'BlobURL', null);
-          }).catch(error => {
-            logger.error('Blob read error:', error);
-          });
+          const timer = setTimeout(() => {
+            self.pendingBlobCaptures.delete(url);
+            blob.arrayBuffer().then(arrayBuffer => {
+              logger.info(`Capturing project via BlobURL, size: ${arrayBuffer.byteLength} bytes`);
+              self.captureProject(arrayBuffer, 'BlobURL', null);
+            }).catch(error => {
+              logger.error('Blob read error:', error);
+            });
+          }, BLOB_CAPTURE_DELAY);
+          self.pendingBlobCaptures.set(url, timer);
         } else {
           logger.debug(`Blob URL created but not a project - size: ${blob.size}, type: ${blob.type}`);
         }
@@ -198,7 +247,12 @@ class SpikeInterceptor {
 
         if (downloadName && (downloadName.endsWith('.llsp3') || downloadName.endsWith('.llsp'))) {
           logger.info(`Anchor download clicked: ${downloadName}`);
+          const skipDownload = self.claimScheduledExport();
           if (href.startsWith('blob:')) {
+            // The download name beats a guess from the page - capture here instead
+            clearTimeout(self.pendingBlobCaptures.get(href));
+            self.pendingBlobCaptures.delete(href);
+
             logger.debug(`Fetching blob from: ${href}`);
             fetch(href)
               .then(response => response.blob())
@@ -211,12 +265,221 @@ class SpikeInterceptor {
                 logger.error('Blob fetch error:', error);
               });
           }
+          if (skipDownload) {
+            logger.info('Scheduled export - skipping the browser download');
+            return;
+          }
         }
       }
       return originalAnchorClick.apply(this, arguments);
     };
   }
 
+  /**
+   * Serve a pending GitHub project to <input type="file"> based open dialogs that take projects
+   */
+  interceptFileInputs() {
+    const self = this;
+    const originalInputClick = HTMLInputElement.prototype.click;
+
+    HTMLInputElement.prototype.click = function() {
+      if (this.type === 'file' && self.pendingOpenFile && acceptsProject(this.accept.split(','))) {
+        const pendingFile = self.takePendingOpenFile();
+        logger.success(`✓ Serving project from GitHub to file input: ${pendingFile.name}`);
+
+        const dataTransfer = new DataTransfer();
+        dataTransfer.items.add(pendingFile);
+        this.files = dataTransfer.files;
+        this.dispatchEvent(new Event('input', { bubbles: true }));
+        this.dispatchEvent(new Event('change', { bubbles: true }));
+        return;
+      }
+      return originalInputClick.apply(this, arguments);
+    };
+  }
+
+  /**
+   * Listen for projects loaded from GitHub by the content script
+   */
+  listenForOpenRequests() {
+    window.addEventListener('spikeprimegit:open-project', (event) => {
+      const { projectName, content } = event.detail || {};
+      if (!content) {
+        logger.warn('Open request without content - ignoring');
+        return;
+      }
+
+      logger.info(`Project from GitHub ready to open: ${projectName} (${content.byteLength} bytes)`);
+      this.pendingOpenFile = new File([content], `${projectName}.llsp3`, { type: 'application/zip' });
+      this.projectName = projectName;
+
+      // Not opened in time - don't hand it to some later, unrelated file dialog
+      clearTimeout(this.pendingOpenTimer);
+      this.pendingOpenTimer = setTimeout(() => {
+        if (this.pendingOpenFile) {
+          logger.warn(`Project from GitHub was not opened in time - dropping ${projectName}`);
+          this.takePendingOpenFile();
+        }
+      }, OPEN_FILE_TIMEOUT);
+
+      const triggered = this.triggerOpen();
+      window.dispatchEvent(new CustomEvent('spikeprimegit:open-ready', {
+        detail: { projectName, triggered }
+      }));
+    });
+  }
+
+  /**
+   * Take the pending GitHub project (it is served only once)
+   * @returns {File|null}
+   */
+  takePendingOpenFile() {
+    const file = this.pendingOpenFile;
+    this.pendingOpenFile = null;
+    clearTimeout(this.pendingOpenTimer);
+    this.pendingOpenTimer = null;
+    return file;
+  }
+
+  /**
+   * Create a read-only stand-in for a FileSystemFileHandle
+   * @param {File} file - File to expose
+   * @returns {Object} Handle with the subset of the API used for opening
+   */
+  createFileHandle(file) {
+    return {
+      kind: 'file',
+      name: file.name,
+      getFile: async () => file,
+      isSameEntry: async () => false,
+      queryPermission: async () => 'granted',
+      requestPermission: async () => 'granted'
+    };
+  }
+
+  /**
+   * Create a stand-in for a FileSystemFileHandle that captures what SPIKE writes to it
+   * @param {string} name - File name suggested by SPIKE
+   * @returns {Object} Handle with the subset of the API used for saving
+   */
+  createCaptureHandle(name) {
+    const self = this;
+    const chunks = [];
+
+    return {
+      kind: 'file',
+      name,
+      getFile: async () => new File(chunks, name),
+      isSameEntry: async () => false,
+      queryPermission: async () => 'granted',
+      requestPermission: async () => 'granted',
+      createWritable: async () => ({
+        write: async (data) => {
+          // FileSystemWritableFileStream also accepts {type: 'write', data}
+          chunks.push(data?.type === 'write' ? data.data : data);
+        },
+        seek: async () => {},
+        truncate: async () => {},
+        abort: async () => {},
+        close: async () => {
+          const arrayBuffer = await new Blob(chunks).arrayBuffer();
+          self.captureProject(arrayBuffer, 'Scheduled-Export', name);
+        }
+      })
+    };
+  }
+
+  /**
+   * Take over the save of a scheduled export - only the first save after the extension's click
+   * @returns {boolean} True if this save belongs to the scheduled export
+   */
+  claimScheduledExport() {
+    if (!this.scheduledExport || this.scheduledExport.claimed) return false;
+    this.scheduledExport.claimed = true;
+    return true;
+  }
+
+  /**
+   * Tell the content script that a scheduled export could not be made
+   * @param {string} requestId - ID from the export request
+   * @param {string} reason - Message for the sync history
+   */
+  reportExportUnavailable(requestId, reason) {
+    logger.warn(`Scheduled export failed: ${reason}`);
+    window.dispatchEvent(new CustomEvent('spikeprimegit:export-unavailable', {
+      detail: { requestId, reason }
+    }));
+  }
+
+  /**
+   * Listen for export requests from the content script (scheduled background sync)
+   */
+  listenForExportRequests() {
+    window.addEventListener('spikeprimegit:export-project', (event) => {
+      const requestId = event.detail?.requestId || null;
+      const downloadButton = this.findDownloadButton();
+      if (!downloadButton) {
+        this.reportExportUnavailable(requestId, 'No project is open in SPIKE Prime');
+        return;
+      }
+
+      logger.info('Scheduled export requested - clicking download');
+      const request = { requestId, claimed: false };
+      this.scheduledExport = request;
+
+      // SPIKE never started or never finished saving (its UI may have changed) - give up so a later
+      // manual download is not taken for this export
+      setTimeout(() => {
+        if (this.scheduledExport === request) {
+          this.scheduledExport = null;
+          this.reportExportUnavailable(requestId, request.claimed
+            ? 'SPIKE Prime did not finish exporting the project'
+            : 'SPIKE Prime did not export the project');
+        }
+      }, EXPORT_TIMEOUT);
+
+      try {
+        downloadButton.click();
+      } catch (error) {
+        this.scheduledExport = null;
+        console.error('[SpikePrimeGit] Download button click error:', error);
+        this.reportExportUnavailable(requestId, 'Could not start the export in SPIKE Prime');
+      }
+    });
+  }
+
+  /**
+   * Click SPIKE's open/import button so the pending project is loaded
+   * @returns {boolean} True if a button was found and clicked
+   */
+  triggerOpen() {
+    const openButton = document.querySelector([
+      'button[aria-label*="open" i]',
+      'button[aria-label*="import" i]',
+      'button[aria-label*="upload" i]',
+      'button[title*="open" i]',
+      'button[title*="import" i]',
+      'button[title*="upload" i]',
+      '[data-testid*="open"]',
+      '[data-testid*="import"]'
+    ].join(', '));
+
+    if (!openButton) {
+      logger.warn('No open button found - waiting for the user to open a file');
+      return false;
+    }
+
+    setTimeout(() => {
+      try {
+        openButton.click();
+      } catch (error) {
+        console.error('[SpikePrimeGit] Open button click error:', error);
+        this.takePendingOpenFile();
+      }
+    }, 100);
+    return true;
+  }
+
   /**
    * Centralized method to capture and verify a project
    * @param {ArrayBuffer} arrayBuffer - The potential project data
@@ -238,12 +501,16 @@ class SpikeInterceptor {
 
     logger.success('Valid ZIP file detected');
     this.capturedProject = arrayBuffer;
+    // The first capture after a scheduled export request is that export
+    const exportRequest = this.scheduledExport;
+    this.scheduledExport = null;
 
+    // Name every capture from its own file name - a name left over from an earlier export may be another project
     if (filename) {
       this.projectName = filename.replace(/\.(llsp3?|zip)$/i, '');
       logger.info(`Project name from filename: ${this.projectName}`);
     } else {
-      this.extractProjectName();
+      this.projectName = this.findProjectName();
       logger.info(`Project name extracted: ${this.projectName}`);
     }
 
@@ -260,7 +527,9 @@ class SpikeInterceptor {
         size: arrayBuffer.byteLength,
         source: source,
         content: arrayBuffer,
-        timestamp: Date.now()
+        timestamp: Date.now(),
+        scheduled: Boolean(exportRequest),
+        requestId: exportRequest?.requestId || null
       }
     }));
 
@@ -316,7 +585,13 @@ class SpikeInterceptor {
       buttons.forEach(button => {
         if (!button.hasAttribute('data-spikeprimegit-monitored')) {
           button.setAttribute('data-spikeprimegit-monitored', 'true');
-          button.addEventListener('click', () => {
+          button.addEventListener('click', (event) => {
+            // The user downloads by hand - that save is theirs, not the scheduled export's
+            if (event.isTrusted && this.scheduledExport) {
+              logger.info('Manual download - cancelling the scheduled export');
+              this.scheduledExport = null;
+            }
+
             this.extractProjectName();
             window.dispatchEvent(new CustomEvent('spikeprimegit:download-initiated', {
               detail: { projectName: this.projectName }
@@ -332,7 +607,14 @@ class SpikeInterceptor {
    */
   extractProjectName() {
     if (this.projectName) return;
+    this.projectName = this.findProjectName();
+  }
 
+  /**
+   * Read the open project's name from the page
+   * @returns {string} Project name (from a heading or the URL, else a dated placeholder)
+   */
+  findProjectName() {
     const selectors = [
       'h1',
       'h2',
@@ -370,8 +652,7 @@ class SpikeInterceptor {
           );
 
           if (!shouldSkip) {
-            this.projectName = trimmedText;
-            return;
+            return trimmedText;
           }
         }
       }
@@ -380,10 +661,9 @@ class SpikeInterceptor {
     // Fallback
     const urlMatch = window.location.pathname.match(/\/([^\/]+)$/);
     if (urlMatch && urlMatch[1] !== 'spike.legoeducation.com') {
-      this.projectName = urlMatch[1];
-    } else {
-      this.projectName = `SPIKE_Project_${new Date().toISOString().slice(0, 10)}`;
+      return urlMatch[1];
     }
+    return `SPIKE_Project_${new Date().toISOString().slice(0, 10)}`;
   }
 
   /**
@@ -436,15 +716,7 @@ class SpikeInterceptor {
 
       window.addEventListener('spikeprimegit:project-captured', handler);
 
-      const downloadButton = document.querySelector([
-        'button[aria-label*="download" i]',
-        'button[aria-label*="export" i]',
-        'button[title*="download" i]',
-        'button[title*="export" i]',
-        '[data-testid*="download"]',
-        '[class*="download" i]',
-        '[class*="export" i]'
-      ].join(', '));
+      const downloadButton = this.findDownloadButton();
 
       if (downloadButton) {
         this.extractProjectName();
@@ -459,6 +731,22 @@ class SpikeInterceptor {
     });
   }
 
+  /**
+   * Find SPIKE's download/export button
+   * @returns {HTMLElement|null}
+   */
+  findDownloadButton() {
+    return document.querySelector([
+      'button[aria-label*="download" i]',
+      'button[aria-label*="export" i]',
+      'button[title*="download" i]',
+      'button[title*="export" i]',
+      '[data-testid*="download"]',
+      '[class*="download" i]',
+      '[class*="export" i]'
+    ].join(', '));
+  }
+
   /**
    * Clean up interceptors
    */
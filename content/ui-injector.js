@@ -20,10 +20,37 @@ const uiLogger = (typeof window.createLogger === 'function')
     };
 
 class UIInjector {
-  constructor(onSyncClick) {
+  /**
+   * @param {Function} onSyncClick - Called with the commit message when Sync is clicked
+   * @param {Object} [actions] - Optional card actions
+   * @param {Function} [actions.onDiffClick] - Called when "Show changes" is clicked
+   * @param {Function} [actions.onLoadClick] - Called when "Load from GitHub" is clicked
+   * @param {Function} [actions.onQueueToggle] - Called with (name, selected) when a queued project is ticked
+   * @param {Function} [actions.onQueueRemove] - Called with the name of a project removed from the queue
+   * @param {Function} [actions.onReleaseClick] - Called when "Mark as release" is clicked
+   * @param {Function} [actions.onProfileChange] - Called after another profile became active (from any tab or the popup)
+   */
+  constructor(onSyncClick, actions = {}) {
     uiLogger.info('UIInjector constructor called');
     this.onSyncClick = onSyncClick;
+    this.onDiffClick = actions.onDiffClick || null;
+    this.onLoadClick = actions.onLoadClick || null;
+    this.onQueueToggle = actions.onQueueToggle || null;
+    this.onQueueRemove = actions.onQueueRemove || null;
+    this.onReleaseClick = actions.onReleaseClick || null;
+    this.onProfileChange = actions.onProfileChange || null;
     this.syncButton = null;
+    this.diffButton = null;
+    this.loadButton = null;
+    this.releaseButton = null;
+    this.queueList = null;
+    this.pullRequestStatus = null;
+    this.profileSelect = null;
+    this.avatar = null;
+    this.unlockPromptShown = false;
+    this.sessionExpired = false;
+    this.reconnectTimer = null;
+    this.panel = null;
     this.statusIndicator = null;
     this.notificationContainer = null;
     this.isInjected = false;
@@ -84,18 +111,31 @@ class UIInjector {
     statusDiv.className = 'spikeprimegit-status';
     statusDiv.id = 'spikeprimegit-status';
 
+    const avatarImg = document.createElement('img');
+    avatarImg.id = 'spikeprimegit-avatar';
+    avatarImg.className = 'spikeprimegit-avatar';
+    avatarImg.alt = '';
+    avatarImg.style.display = 'none';
     const statusDot = document.createElement('span');
     statusDot.className = 'status-dot';
     const statusText = document.createElement('span');
     statusText.className = 'status-text';
     statusText.textContent = 'Checking...';
 
+    statusDiv.appendChild(avatarImg);
     statusDiv.appendChild(statusDot);
     statusDiv.appendChild(statusText);
 
     header.appendChild(logoDiv);
     header.appendChild(statusDiv);
 
+    // Create profile switcher (filled in by updateProfiles, shown when there are several profiles)
+    const profileSelect = document.createElement('select');
+    profileSelect.id = 'spikeprimegit-profile-select';
+    profileSelect.className = 'spikeprimegit-profile-select';
+    profileSelect.title = 'Switch profile';
+    profileSelect.style.display = 'none';
+
     // Create commit section
     const commitSection = document.createElement('div');
     commitSection.className = 'spikeprimegit-commit-section';
@@ -115,6 +155,12 @@ class UIInjector {
     commitSection.appendChild(textarea);
     commitSection.appendChild(errorSmall);
 
+    // Create capture queue (filled in by showCaptureQueue)
+    const queueList = document.createElement('div');
+    queueList.id = 'spikeprimegit-queue';
+    queueList.className = 'spikeprimegit-queue';
+    queueList.style.display = 'none';
+
     // Create sync button
     const syncButton = document.createElement('button');
     syncButton.id = 'spikeprimegit-sync-btn';
@@ -130,6 +176,37 @@ class UIInjector {
     syncButton.appendChild(syncIcon);
     syncButton.appendChild(syncText);
 
+    // Create diff button
+    const diffButton = document.createElement('button');
+    diffButton.id = 'spikeprimegit-diff-btn';
+    diffButton.className = 'spikeprimegit-secondary-btn';
+    diffButton.textContent = 'Show changes';
+
+    // Create load button
+    const loadButton = document.createElement('button');
+    loadButton.id = 'spikeprimegit-load-btn';
+    loadButton.className = 'spikeprimegit-secondary-btn';
+    loadButton.textContent = 'Load from GitHub';
+
+    // Create release button (shown once a sync created a commit)
+    const releaseButton = document.createElement('button');
+    releaseButton.id = 'spikeprimegit-release-btn';
+    releaseButton.className = 'spikeprimegit-secondary-btn';
+    releaseButton.textContent = '🏷 Mark as release';
+    releaseButton.style.display = 'none';
+
+    // Create pull request status (filled in by showPullRequestStatus)
+    const pullRequestStatus = document.createElement('div');
+    pullRequestStatus.id = 'spikeprimegit-pr';
+    pullRequestStatus.className = 'spikeprimegit-pr';
+    pullRequestStatus.style.display = 'none';
+
+    // Create panel for diffs and lists (filled in by openPanel)
+    const panel = document.createElement('div');
+    panel.id = 'spikeprimegit-panel';
+    panel.className = 'spikeprimegit-panel';
+    panel.style.display = 'none';
+
     // Create settings button
     const settingsButton = document.createElement('button');
     settingsButton.id = 'spikeprimegit-settings-btn';
@@ -139,8 +216,15 @@ class UIInjector {
 
     // Assemble the card
     card.appendChild(header);
+    card.appendChild(profileSelect);
     card.appendChild(commitSection);
+    card.appendChild(queueList);
     card.appendChild(syncButton);
+    card.appendChild(diffButton);
+    card.appendChild(loadButton);
+    card.appendChild(releaseButton);
+    card.appendChild(pullRequestStatus);
+    card.appendChild(panel);
     card.appendChild(settingsButton);
 
     container.appendChild(card);
@@ -156,10 +240,22 @@ class UIInjector {
     this.statusIndicator = document.getElementById('spikeprimegit-status');
     this.commitMessage = document.getElementById('spikeprimegit-commit-message');
     this.commitError = document.getElementById('spikeprimegit-commit-error');
-    const settingsButton = document.getElementById('spikeprimegit-settings-btn');
+    this.diffButton = document.getElementById('spikeprimegit-diff-btn');
+    this.loadButton = document.getElementById('spikeprimegit-load-btn');
+    this.releaseButton = document.getElementById('spikeprimegit-release-btn');
+    this.queueList = document.getElementById('spikeprimegit-queue');
+    this.pullRequestStatus = document.getElementById('spikeprimegit-pr');
+    this.profileSelect = document.getElementById('spikeprimegit-profile-select');
+    this.avatar = document.getElementById('spikeprimegit-avatar');
+    this.panel = document.getElementById('spikeprimegit-panel');
 
     // Attach event listeners
     this.syncButton.addEventListener('click', () => this.handleSyncClick());
+    this.diffButton.addEventListener('click', () => this.handleDiffClick());
+    this.loadButton.addEventListener('click', () => this.handleLoadClick());
+    this.releaseButton.addEventListener('click', () => this.onReleaseClick && this.onReleaseClick());
+    this.profileSelect.addEventListener('change', () => this.handleProfileSelect());
+    this.statusIndicator.addEventListener('click', () => this.sessionExpired && this.handleReconnectClick());
     settingsButton.addEventListener('click', () => this.openSettings());
 
     // Clear error on input
@@ -173,6 +269,7 @@ class UIInjector {
     this.isInjected = true;
     uiLogger.success('UI elements created and injected successfully');
     this.updateConnectionStatus();
+    this.updateProfiles();
   }
 
   /**
@@ -225,9 +322,483 @@ class UIInjector {
     uiLogger.groupEnd();
   }
 
+  /**
+   * Handle "Show changes" button click
+   */
+  async handleDiffClick() {
+    if (!this.onDiffClick || this.diffButton.disabled) return;
+
+    uiLogger.info('Diff button clicked');
+    this.diffButton.disabled = true;
+    this.diffButton.textContent = 'Comparing...';
+
+    try {
+      await this.onDiffClick();
+    } catch (error) {
+      uiLogger.error('Diff failed:', error);
+      this.showNotification('Could not compare with GitHub: ' + error.message, 'error');
+    } finally {
+      this.diffButton.disabled = false;
+      this.diffButton.textContent = 'Show changes';
+    }
+  }
+
+  /**
+   * Handle "Load from GitHub" button click
+   */
+  async handleLoadClick() {
+    if (!this.onLoadClick || this.loadButton.disabled) return;
+
+    uiLogger.info('Load button clicked');
+    this.loadButton.disabled = true;
+    this.loadButton.textContent = 'Loading...';
+
+    try {
+      await this.onLoadClick();
+    } catch (error) {
+      uiLogger.error('Load failed:', error);
+      this.showNotification('Could not load from GitHub: ' + error.message, 'error');
+    } finally {
+      this.loadButton.disabled = false;
+      this.loadButton.textContent = 'Load from GitHub';
+    }
+  }
+
+  /**
+   * List captured projects with a checkbox each, so several can be synced in one commit
+   * @param {Array<{name: string, size: number, selected: boolean}>} queue - Captured projects, oldest first
+   */
+  showCaptureQueue(queue) {
+    if (!this.queueList) return;
+
+    this.queueList.textContent = '';
+    this.queueList.style.display = queue.length > 0 ? 'block' : 'none';
+
+    const heading = document.createElement('div');
+    heading.className = 'spikeprimegit-panel-section';
+    heading.textContent = `Captured projects (${queue.length})`;
+    this.queueList.appendChild(heading);
+
+    queue.forEach(project => {
+      const item = document.createElement('label');
+      item.className = 'spikeprimegit-queue-item';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = project.selected;
+      checkbox.addEventListener('change', () => {
+        if (this.onQueueToggle) this.onQueueToggle(project.name, checkbox.checked);
+      });
+
+      const name = document.createElement('span');
+      name.className = 'spikeprimegit-queue-name';
+      name.textContent = project.name;
+
+      const size = document.createElement('span');
+      size.className = 'spikeprimegit-queue-size';
+      size.textContent = `${Math.max(1, Math.round(project.size / 1024))} KB`;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'spikeprimegit-panel-close';
+      removeBtn.title = 'Remove from queue';
+      removeBtn.textContent = '×';
+      removeBtn.addEventListener('click', (event) => {
+        event.preventDefault();
+        if (this.onQueueRemove) this.onQueueRemove(project.name);
+      });
+
+      item.appendChild(checkbox);
+      item.appendChild(name);
+      item.appendChild(size);
+      item.appendChild(removeBtn);
+      this.queueList.appendChild(item);
+    });
+  }
+
+  /**
+   * Open the card panel with a title, replacing its previous content
+   * @param {string} titleText - Panel title
+   * @returns {HTMLElement} Panel element to append content to
+   */
+  openPanel(titleText) {
+    this.panel.textContent = '';
+
+    const header = document.createElement('div');
+    header.className = 'spikeprimegit-panel-header';
+    const title = document.createElement('span');
+    title.textContent = titleText;
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'spikeprimegit-panel-close';
+    closeBtn.textContent = '×';
+    closeBtn.addEventListener('click', () => this.closePanel());
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+    this.panel.appendChild(header);
+
+    this.panel.style.display = 'block';
+    return this.panel;
+  }
+
+  /**
+   * Close the card panel
+   */
+  closePanel() {
+    if (!this.panel) return;
+    this.panel.style.display = 'none';
+    this.panel.textContent = '';
+  }
+
+  /**
+   * Add a section heading to a panel
+   * @param {HTMLElement} panel - Panel from openPanel()
+   * @param {string} text - Heading text
+   */
+  addPanelSection(panel, text) {
+    const heading = document.createElement('div');
+    heading.className = 'spikeprimegit-panel-section';
+    heading.textContent = text;
+    panel.appendChild(heading);
+  }
+
+  /**
+   * Add a short note to a panel
+   * @param {HTMLElement} panel - Panel from openPanel()
+   * @param {string} text - Note text
+   */
+  addPanelNote(panel, text) {
+    const note = document.createElement('p');
+    note.className = 'spikeprimegit-panel-note';
+    note.textContent = text;
+    panel.appendChild(note);
+  }
+
+  /**
+   * Show projects on GitHub and let the user pick one to open
+   * @param {Array<{name: string, path: string, repository: string, branch: string}>} projects - Projects from LIST_PROJECTS
+   * @param {string} branch - Branch that was listed
+   * @param {Function} onSelect - Called with the chosen project
+   */
+  showProjectList(projects, branch, onSelect) {
+    const panel = this.openPanel(`Projects on ${branch}`);
+
+    if (projects.length === 0) {
+      this.addPanelNote(panel, 'No .llsp3 projects found in the project folder');
+      return;
+    }
+
+    const list = document.createElement('div');
+    list.className = 'spikeprimegit-panel-list';
+
+    projects.forEach(project => {
+      const item = document.createElement('button');
+      item.className = 'spikeprimegit-panel-item';
+      item.textContent = project.name;
+      item.title = project.path;
+      // Projects a routing rule pushed elsewhere say where they are
+      if (project.branch !== branch) {
+        item.textContent += ` (${project.branch})`;
+      }
+      if (project.repository) {
+        item.title = `${project.repository} (${project.branch}): ${project.path}`;
+      }
+      item.addEventListener('click', async () => {
+        this.closePanel();
+        await onSelect(project);
+      });
+      list.appendChild(item);
+    });
+
+    panel.appendChild(list);
+  }
+
+  /**
+   * Explain that projects changed on GitHub and let the user choose how to push
+   * @param {Array<Object>} conflicts - Conflicts from PUSH_PROJECTS (projectName, filePath, remoteCommit)
+   * @param {string} branch - Branch that was pushed to
+   * @param {Function} onResolve - Called with ('overwrite' | 'copy' | 'branch', newBranch)
+   */
+  showConflicts(conflicts, branch, onResolve) {
+    const panel = this.openPanel('Changed on GitHub');
+
+    this.addPanelNote(
+      panel,
+      `Someone pushed to ${branch} since you last synced or loaded ${conflicts.length === 1 ? 'this project' : 'these projects'}. Nothing was committed yet.`
+    );
+
+    conflicts.forEach(conflict => {
+      this.addPanelSection(panel, conflict.projectName);
+      const commit = conflict.remoteCommit;
+      if (commit) {
+        this.addPanelNote(panel, `Latest: "${commit.message}" by ${commit.author}, ${new Date(commit.date).toLocaleString()}`);
+      }
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'spikeprimegit-panel-list';
+
+    const stamp = new Date().toISOString().slice(0, 16).replace('T', '-').replace(':', '');
+    const branchInput = document.createElement('input');
+    branchInput.type = 'text';
+    branchInput.className = 'spikeprimegit-panel-input';
+    branchInput.value = `conflict-${stamp}`;
+    branchInput.title = 'Name of the new branch';
+
+    const addAction = (text, handler) => {
+      const button = document.createElement('button');
+      button.className = 'spikeprimegit-secondary-btn';
+      button.textContent = text;
+      button.addEventListener('click', async () => {
+        this.closePanel();
+        this.setButtonState('syncing');
+        await handler();
+      });
+      actions.appendChild(button);
+    };
+
+    addAction('Overwrite GitHub version', () => onResolve('overwrite'));
+    addAction('Save mine as a copy', () => onResolve('copy'));
+    actions.appendChild(branchInput);
+    addAction('Push to new branch', () => onResolve('branch', branchInput.value.trim()));
+
+    panel.appendChild(actions);
+  }
+
+  /**
+   * Show or hide the "Mark as release" button
+   * @param {boolean} visible - Whether the last sync can be released
+   */
+  showReleaseButton(visible) {
+    if (!this.releaseButton) return;
+    this.releaseButton.style.display = visible ? '' : 'none';
+  }
+
+  /**
+   * Ask for the tag, title and notes of a new release
+   * @param {Object} defaults - {tagName, name, notes, projectNames} to prefill
+   * @param {Function} onCreate - Called with {tagName, name, notes}, resolves to true once the release exists
+   */
+  showReleaseForm(defaults, onCreate) {
+    const panel = this.openPanel('Mark as release');
+
+    this.addPanelNote(
+      panel,
+      `Tags the last sync and publishes a GitHub Release with ${defaults.projectNames.join(', ')} attached, so you can always get back the exact program that ran.`
+    );
+
+    const form = document.createElement('div');
+    form.className = 'spikeprimegit-panel-list';
+
+    const addInput = (value, title, multiline = false) => {
+      const input = document.createElement(multiline ? 'textarea' : 'input');
+      if (multiline) {
+        input.rows = 3;
+      } else {
+        input.type = 'text';
+      }
+      input.className = 'spikeprimegit-panel-input';
+      input.value = value;
+      input.title = title;
+      input.placeholder = title;
+      form.appendChild(input);
+      return input;
+    };
+
+    const tagInput = addInput(defaults.tagName, 'Tag name');
+    const nameInput = addInput(defaults.name, 'Release title');
+    const notesInput = addInput(defaults.notes, 'Release notes', true);
+
+    const createButton = document.createElement('button');
+    createButton.className = 'spikeprimegit-secondary-btn';
+    createButton.textContent = 'Create release';
+    createButton.addEventListener('click', async () => {
+      if (!tagInput.value.trim()) {
+        tagInput.focus();
+        return;
+      }
+      createButton.disabled = true;
+      try {
+        const created = await onCreate({
+          tagName: tagInput.value.trim(),
+          name: nameInput.value.trim(),
+          notes: notesInput.value.trim()
+        });
+        if (created) {
+          this.closePanel();
+        }
+      } catch (error) {
+        uiLogger.error('Create release failed:', error);
+        this.showNotification('Could not create the release: ' + error.message, 'error');
+      } finally {
+        createButton.disabled = false;
+      }
+    });
+
+    form.appendChild(createButton);
+    panel.appendChild(form);
+  }
+
+  /**
+   * Show the pull request for the current branch below the card buttons
+   * @param {Object|null} pullRequest - {number, title, url, reviewStatus}, or null to hide
+   */
+  showPullRequestStatus(pullRequest) {
+    if (!this.pullRequestStatus) return;
+    this.pullRequestStatus.textContent = '';
+
+    if (!pullRequest) {
+      this.pullRequestStatus.style.display = 'none';
+      return;
+    }
+
+    const labels = {
+      review_pending: 'Waiting for review',
+      approved: 'Approved',
+      changes_requested: 'Changes requested',
+      merged: 'Merged',
+      closed: 'Closed'
+    };
+
+    const link = document.createElement('a');
+    link.href = pullRequest.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = `PR #${pullRequest.number}: ${pullRequest.title}`;
+
+    const status = document.createElement('span');
+    status.className = `spikeprimegit-pr-status ${pullRequest.reviewStatus}`;
+    status.textContent = labels[pullRequest.reviewStatus] || pullRequest.reviewStatus;
+
+    this.pullRequestStatus.appendChild(link);
+    this.pullRequestStatus.appendChild(status);
+    this.pullRequestStatus.style.display = 'flex';
+  }
+
+  /**
+   * Offer to open a pull request for a branch, prefilled from its commits
+   * @param {Object} draft - {title, body, commitCount} from GET_PULL_REQUEST
+   * @param {string} branch - Branch with the changes
+   * @param {string} defaultBranch - Branch the pull request goes into
+   * @param {Function} onCreate - Called with (title, body), resolves to true once the pull request is open
+   */
+  showPullRequestDraft(draft, branch, defaultBranch, onCreate) {
+    const panel = this.openPanel('Open pull request');
+
+    this.addPanelNote(
+      panel,
+      `${draft.commitCount} commit${draft.commitCount === 1 ? '' : 's'} on ${branch} ${draft.commitCount === 1 ? 'is' : 'are'} not in ${defaultBranch} yet. Ask for a review before merging?`
+    );
+
+    const form = document.createElement('div');
+    form.className = 'spikeprimegit-panel-list';
+
+    const titleInput = document.createElement('input');
+    titleInput.type = 'text';
+    titleInput.className = 'spikeprimegit-panel-input';
+    titleInput.value = draft.title;
+    titleInput.title = 'Pull request title';
+
+    const bodyInput = document.createElement('textarea');
+    bodyInput.className = 'spikeprimegit-panel-input';
+    bodyInput.rows = 4;
+    bodyInput.value = draft.body;
+    bodyInput.title = 'Pull request description';
+
+    const createButton = document.createElement('button');
+    createButton.className = 'spikeprimegit-secondary-btn';
+    createButton.textContent = 'Open pull request';
+    createButton.addEventListener('click', async () => {
+      if (!titleInput.value.trim()) {
+        titleInput.focus();
+        return;
+      }
+      createButton.disabled = true;
+      try {
+        const created = await onCreate(titleInput.value.trim(), bodyInput.value);
+        if (created) {
+          this.closePanel();
+        }
+      } catch (error) {
+        uiLogger.error('Create pull request failed:', error);
+        this.showNotification('Could not open the pull request: ' + error.message, 'error');
+      } finally {
+        createButton.disabled = false;
+      }
+    });
+
+    form.appendChild(titleInput);
+    form.appendChild(bodyInput);
+    form.appendChild(createButton);
+    panel.appendChild(form);
+  }
+
+  /**
+   * Append diff lines to a container
+   * @param {HTMLElement} container - Parent element
+   * @param {Array<{type: string, text: string}>} lines - 'add', 'remove', 'context' or 'skip' lines
+   */
+  appendDiffLines(container, lines) {
+    const prefixes = { add: '+ ', remove: '- ', context: '  ', skip: '' };
+    const pre = document.createElement('pre');
+    pre.className = 'spikeprimegit-diff-code';
+
+    lines.forEach(line => {
+      const lineSpan = document.createElement('span');
+      lineSpan.className = `diff-line ${line.type}`;
+      lineSpan.textContent = (prefixes[line.type] ?? '') + line.text;
+      pre.appendChild(lineSpan);
+    });
+
+    container.appendChild(pre);
+  }
+
+  /**
+   * Show the semantic diff against GitHub in the card
+   * @param {Object} diff - Diff from the DIFF_PROJECT message
+   * @param {string} branch - Branch that was compared
+   */
+  showDiff(diff, branch) {
+    if (!this.panel) return;
+
+    const panel = this.openPanel(`Changes vs ${branch}`);
+
+    if (diff.isNew) {
+      this.addPanelNote(panel, `New project - ${diff.filePath} is not on GitHub yet`);
+    } else if (!diff.hasChanges) {
+      this.addPanelNote(panel, 'No changes since the version on GitHub');
+    }
+
+    if (diff.manifest.length > 0) {
+      this.addPanelSection(panel, 'Project settings');
+      this.appendDiffLines(panel, diff.manifest.map(change => ({
+        type: 'context',
+        text: `${change.key}: ${change.before ?? '(none)'} → ${change.after ?? '(removed)'}`
+      })));
+    }
+
+    if (diff.python && diff.python.length > 0) {
+      this.addPanelSection(panel, 'Python');
+      this.appendDiffLines(panel, diff.python);
+    }
+
+    diff.scripts.added.forEach(script => {
+      this.addPanelSection(panel, `Added script (${script.target})`);
+      this.appendDiffLines(panel, script.text.split('\n').map(text => ({ type: 'add', text })));
+    });
+
+    diff.scripts.removed.forEach(script => {
+      this.addPanelSection(panel, `Removed script (${script.target})`);
+      this.appendDiffLines(panel, script.text.split('\n').map(text => ({ type: 'remove', text })));
+    });
+
+    diff.scripts.modified.forEach(script => {
+      this.addPanelSection(panel, `Modified script (${script.target})`);
+      this.appendDiffLines(panel, script.lines);
+    });
+  }
+
   /**
    * Set button state
-   * @param {string} state - 'default', 'syncing', 'success', 'error'
+   * @param {string} state - 'default', 'syncing', 'success', 'up-to-date', 'queued', 'error'
    */
   setButtonState(state) {
     if (!this.syncButton) return;
@@ -252,6 +823,27 @@ class UIInjector {
         }, 3000);
         break;
 
+      case 'up-to-date':
+        this.syncButton.classList.add('success');
+        this.syncButton.disabled = false;
+        this.syncButton.querySelector('.sync-text').textContent = 'Up to date';
+        setTimeout(() => {
+          if (this.syncButton) {
+            this.setButtonState('default');
+          }
+        }, 3000);
+        break;
+
+      case 'queued':
+        this.syncButton.disabled = false;
+        this.syncButton.querySelector('.sync-text').textContent = 'Queued';
+        setTimeout(() => {
+          if (this.syncButton) {
+            this.setButtonState('default');
+          }
+        }, 3000);
+        break;
+
       case 'error':
         this.syncButton.classList.add('error');
         this.syncButton.disabled = false;
@@ -287,17 +879,44 @@ class UIInjector {
 
       const dot = this.statusIndicator.querySelector('.status-dot');
       const text = this.statusIndicator.querySelector('.status-text');
+      this.sessionExpired = !!response.sessionExpired && !response.connected;
+      this.statusIndicator.classList.toggle('clickable', this.sessionExpired);
+      this.statusIndicator.title = this.sessionExpired ? 'Connect to GitHub again' : '';
+
+      if (response.locked) {
+        uiLogger.info('Locked - waiting for PIN');
+        dot.className = 'status-dot locked';
+        text.textContent = '🔒 Locked';
+        this.syncButton.disabled = true;
+        this.diffButton.disabled = true;
+        this.loadButton.disabled = true;
 
-      if (response.connected) {
+        // Ask once per page; the popup can unlock as well
+        if (!this.unlockPromptShown) {
+          this.unlockPromptShown = true;
+          this.showUnlockForm();
+        }
+      } else if (response.connected) {
         uiLogger.success('✓ Connected to GitHub');
         dot.className = 'status-dot connected';
         text.textContent = 'Connected';
         this.syncButton.disabled = false;
+        this.diffButton.disabled = false;
+        this.loadButton.disabled = false;
+      } else if (this.sessionExpired) {
+        uiLogger.warn('GitHub session expired');
+        dot.className = 'status-dot expired';
+        text.textContent = 'Session expired - click to reconnect';
+        this.syncButton.disabled = true;
+        this.diffButton.disabled = true;
+        this.loadButton.disabled = true;
       } else {
         uiLogger.warn('Not connected to GitHub');
         dot.className = 'status-dot disconnected';
         text.textContent = 'Not Connected';
         this.syncButton.disabled = true;
+        this.diffButton.disabled = true;
+        this.loadButton.disabled = true;
       }
     } catch (error) {
       uiLogger.error('Error checking connection status:', error);
@@ -308,6 +927,193 @@ class UIInjector {
     }
   }
 
+  /**
+   * Sign in again after GitHub rejected the stored session
+   */
+  async handleReconnectClick() {
+    try {
+      const settings = await chrome.runtime.sendMessage({ type: 'GET_CLIENT_ID' });
+
+      if (settings.authFlow === 'web') {
+        this.showNotification('Connecting to GitHub...', 'info', 3000);
+        const response = await chrome.runtime.sendMessage({ type: 'AUTHENTICATE' });
+        if (!response.success) {
+          throw new Error(response.error);
+        }
+        this.showNotification('Connected to GitHub', 'success', 3000);
+        await this.updateConnectionStatus();
+        return;
+      }
+
+      const response = await chrome.runtime.sendMessage({ type: 'START_DEVICE_AUTH' });
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+      this.showDeviceCode(response);
+    } catch (error) {
+      uiLogger.error('Error reconnecting:', error);
+      this.showNotification('Could not connect: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Show the device code in the panel and wait for it to be approved on GitHub
+   * @param {Object} deviceAuth - userCode and verificationUri from START_DEVICE_AUTH
+   */
+  showDeviceCode(deviceAuth) {
+    const panel = this.openPanel('Connect to GitHub');
+    this.addPanelNote(panel, 'Open the link below and enter this code:');
+
+    const code = document.createElement('div');
+    code.className = 'spikeprimegit-device-code';
+    code.textContent = deviceAuth.userCode;
+    panel.appendChild(code);
+
+    const link = document.createElement('a');
+    link.href = deviceAuth.verificationUri;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = deviceAuth.verificationUri;
+    panel.appendChild(link);
+
+    clearInterval(this.reconnectTimer);
+    this.reconnectTimer = setInterval(() => this.checkDeviceAuth(), 2000);
+  }
+
+  /**
+   * Check whether the device code has been approved
+   */
+  async checkDeviceAuth() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_DEVICE_AUTH' });
+      const deviceAuth = response?.deviceAuth;
+      if (deviceAuth?.status === 'pending') return;
+
+      clearInterval(this.reconnectTimer);
+      this.reconnectTimer = null;
+      if (!deviceAuth) return;
+
+      await chrome.runtime.sendMessage({ type: 'CANCEL_DEVICE_AUTH' });
+      this.closePanel();
+      if (deviceAuth.status === 'success') {
+        this.showNotification('Connected to GitHub', 'success', 3000);
+        await this.updateConnectionStatus();
+      } else {
+        this.showNotification('Could not connect: ' + deviceAuth.error, 'error');
+      }
+    } catch (error) {
+      uiLogger.warn('Could not check sign-in:', error.message);
+    }
+  }
+
+  /**
+   * Ask for the PIN that protects the GitHub sign-in
+   */
+  showUnlockForm() {
+    const panel = this.openPanel('🔒 Unlock SpikePrimeGit');
+    this.addPanelNote(panel, 'Enter your PIN to sync with GitHub. It is needed once until the browser is closed.');
+
+    const form = document.createElement('form');
+    form.className = 'spikeprimegit-panel-list';
+
+    const pinInput = document.createElement('input');
+    pinInput.type = 'password';
+    pinInput.inputMode = 'numeric';
+    pinInput.autocomplete = 'off';
+    pinInput.className = 'spikeprimegit-panel-input';
+    pinInput.placeholder = 'PIN';
+
+    const unlockButton = document.createElement('button');
+    unlockButton.type = 'submit';
+    unlockButton.className = 'spikeprimegit-secondary-btn';
+    unlockButton.textContent = 'Unlock';
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      if (!pinInput.value) {
+        pinInput.focus();
+        return;
+      }
+
+      unlockButton.disabled = true;
+      try {
+        const response = await chrome.runtime.sendMessage({ type: 'UNLOCK', data: { pin: pinInput.value } });
+        if (!response.success) {
+          throw new Error(response.error);
+        }
+        this.closePanel();
+        this.showNotification('Unlocked', 'success', 3000);
+      } catch (error) {
+        pinInput.value = '';
+        pinInput.focus();
+        this.showNotification('Could not unlock: ' + error.message, 'error');
+      } finally {
+        unlockButton.disabled = false;
+      }
+    });
+
+    form.appendChild(pinInput);
+    form.appendChild(unlockButton);
+    panel.appendChild(form);
+  }
+
+  /**
+   * Show the active profile's avatar and fill the profile switcher
+   */
+  async updateProfiles() {
+    if (!this.profileSelect) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_PROFILES' });
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      const activeProfile = response.profiles.find(profile => profile.id === response.activeProfileId);
+      if (activeProfile && activeProfile.avatarUrl) {
+        this.avatar.src = activeProfile.avatarUrl;
+        this.avatar.title = activeProfile.name;
+        this.avatar.style.display = '';
+      } else {
+        this.avatar.style.display = 'none';
+      }
+
+      this.profileSelect.textContent = '';
+      response.profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        this.profileSelect.appendChild(option);
+      });
+      this.profileSelect.value = response.activeProfileId;
+      this.profileSelect.style.display = response.profiles.length > 1 ? '' : 'none';
+    } catch (error) {
+      uiLogger.warn('Could not load profiles:', error.message);
+    }
+  }
+
+  /**
+   * Switch to the profile picked in the card
+   */
+  async handleProfileSelect() {
+    const profileId = this.profileSelect.value;
+    this.profileSelect.disabled = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'SWITCH_PROFILE', data: { profileId } });
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+      this.showNotification(`Switched to ${response.profile.name}`, 'success', 3000);
+    } catch (error) {
+      uiLogger.error('Error switching profile:', error);
+      this.showNotification('Could not switch profile: ' + error.message, 'error');
+      await this.updateProfiles();
+    } finally {
+      this.profileSelect.disabled = false;
+    }
+  }
+
   /**
    * Show notification toast
    * @param {string} message - Notification message
@@ -377,7 +1183,22 @@ class UIInjector {
    * @param {Object} info - Sync info
    */
   updateSyncStatus(info) {
-    if (info.success) {
+    if (info.success && info.upToDate) {
+      this.setButtonState('up-to-date');
+      // Background syncs with nothing to commit stay quiet
+      if (info.isAutoSync) return;
+      this.showNotification(
+        `"${info.projectName}" is already up to date on GitHub - nothing to commit`,
+        'info'
+      );
+    } else if (info.queued) {
+      this.setButtonState('queued');
+      this.showNotification(
+        `No connection to GitHub - "${info.projectName}" is saved and will be pushed automatically when you're back online`,
+        'info',
+        8000
+      );
+    } else if (info.success) {
       this.setButtonState('success');
       this.showNotification(
         `Project "${info.projectName}" synced successfully!`,
@@ -423,9 +1244,19 @@ class UIInjector {
   listenForChanges() {
     chrome.storage.onChanged.addListener((changes, area) => {
       if (area === 'local') {
+        if (changes.active_profile) {
+          // The new profile may have a PIN of its own
+          this.unlockPromptShown = false;
+        }
         if (changes.github_tokens || changes.user_settings) {
           this.updateConnectionStatus();
         }
+        if (changes.profiles || changes.active_profile) {
+          this.updateProfiles();
+        }
+        if (changes.active_profile && this.onProfileChange) {
+          this.onProfileChange();
+        }
       }
     });
   }
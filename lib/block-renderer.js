@@ -0,0 +1,277 @@
+/**
+ * Word-block renderer
+ * Turns the Scratch JSON of a word-block project into an indented pseudo-code listing
+ */
+
+const INDENT = '  ';
+
+// Readable text for common blocks. {NAME} is replaced by the input or field called NAME.
+// Blocks that are missing here (or whose inputs don't match) fall back to a generic rendering.
+const BLOCK_TEMPLATES = {
+  // Events
+  flipperevents_whenProgramStarts: 'when program starts',
+  flipperevents_whenCondition: 'when {CONDITION}',
+  flipperevents_whenTimer: 'when timer > {VALUE}',
+  event_whenbroadcastreceived: 'when I receive {BROADCAST_OPTION}',
+  event_broadcast: 'broadcast {BROADCAST_INPUT}',
+  event_broadcastandwait: 'broadcast {BROADCAST_INPUT} and wait',
+
+  // Control
+  control_wait: 'wait {DURATION} seconds',
+  control_repeat: 'repeat {TIMES}',
+  control_forever: 'forever',
+  control_if: 'if {CONDITION} then',
+  control_if_else: 'if {CONDITION} then',
+  control_wait_until: 'wait until {CONDITION}',
+  control_repeat_until: 'repeat until {CONDITION}',
+  control_stop: 'stop {STOP_OPTION}',
+
+  // Movement
+  flippermove_move: 'move {DIRECTION} {VALUE} {UNIT}',
+  flippermove_startMove: 'start moving {DIRECTION}',
+  flippermove_stopMove: 'stop moving',
+  flippermove_steer: 'move {STEERING} for {VALUE} {UNIT}',
+  flippermove_startSteer: 'start moving {STEERING}',
+  flippermove_setMovementSpeed: 'set movement speed to {SPEED} %',
+  flippermove_setMovementPair: 'set movement motors to {PAIR}',
+
+  // Motors
+  flippermotor_motorTurnForDirection: '{PORT} run {DIRECTION} for {VALUE} {UNIT}',
+  flippermotor_motorGoDirectionToPosition: '{PORT} go {DIRECTION} to position {POSITION}',
+  flippermotor_motorStartDirection: '{PORT} start motor {DIRECTION}',
+  flippermotor_motorStop: '{PORT} stop motor',
+  flippermotor_motorSetSpeed: '{PORT} set speed to {SPEED} %',
+
+  // Light
+  flipperlight_lightDisplayText: 'write {TEXT}',
+
+  // Variables
+  data_setvariableto: 'set {VARIABLE} to {VALUE}',
+  data_changevariableby: 'change {VARIABLE} by {VALUE}',
+
+  // Operators
+  operator_add: '{NUM1} + {NUM2}',
+  operator_subtract: '{NUM1} - {NUM2}',
+  operator_multiply: '{NUM1} * {NUM2}',
+  operator_divide: '{NUM1} / {NUM2}',
+  operator_lt: '{OPERAND1} < {OPERAND2}',
+  operator_gt: '{OPERAND1} > {OPERAND2}',
+  operator_equals: '{OPERAND1} = {OPERAND2}',
+  operator_and: '{OPERAND1} and {OPERAND2}',
+  operator_or: '{OPERAND1} or {OPERAND2}',
+  operator_not: 'not {OPERAND}',
+  operator_random: 'pick random {FROM} to {TO}',
+  operator_join: 'join {STRING1} {STRING2}'
+};
+
+// Inputs holding nested block stacks rather than values
+const STACK_INPUTS = ['SUBSTACK', 'SUBSTACK2'];
+
+/**
+ * Check whether a block starts a script (event hats and custom block definitions)
+ * @param {Object} block - Scratch block
+ * @returns {boolean}
+ */
+function isHatBlock(block) {
+  return /_when/i.test(block.opcode) || block.opcode === 'procedures_definition';
+}
+
+/**
+ * Turn an opcode into words, e.g. "flippermotor_motorStop" -> "motor stop"
+ * @param {string} opcode - Block opcode
+ * @returns {string}
+ */
+function humanizeOpcode(opcode) {
+  const name = opcode.includes('_') ? opcode.slice(opcode.indexOf('_') + 1) : opcode;
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/[-_]+/g, ' ')
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Renders the blocks of one Scratch target (sprite)
+ */
+class TargetRenderer {
+  constructor(blocks) {
+    this.blocks = blocks || {};
+  }
+
+  /**
+   * Resolve an input to display text
+   * @param {Array} input - Scratch input, e.g. [1, [4, "10"]] or [3, "blockId", [4, "0"]]
+   * @returns {string}
+   */
+  renderInput(input) {
+    const value = Array.isArray(input) ? input[1] : null;
+    if (value === null || value === undefined) return '_';
+
+    // Inline primitive: [type, value, (id)] - numbers, text, broadcasts, variables, lists
+    if (Array.isArray(value)) {
+      return String(value[1]);
+    }
+
+    const block = this.blocks[value];
+    if (!block) return '_';
+
+    // Menu shadows carry a single dropdown field, e.g. a port or direction
+    if (block.shadow) {
+      const fields = Object.values(block.fields || {});
+      if (fields.length === 1) return String(fields[0][0]);
+    }
+
+    return `(${this.renderBlockText(block)})`;
+  }
+
+  /**
+   * Collect displayable values of a block's inputs and fields by name
+   * @param {Object} block - Scratch block
+   * @returns {Object<string, string>}
+   */
+  collectValues(block) {
+    const values = {};
+    for (const [name, input] of Object.entries(block.inputs || {})) {
+      if (STACK_INPUTS.includes(name) || name === 'custom_block') continue;
+      values[name] = this.renderInput(input);
+    }
+    for (const [name, field] of Object.entries(block.fields || {})) {
+      values[name] = String(field[0]);
+    }
+    return values;
+  }
+
+  /**
+   * Render a custom block definition or call from its mutation
+   * @param {Object} block - procedures_definition or procedures_call block
+   * @param {Object<string, string>} values - Input values of a call
+   * @returns {string}
+   */
+  renderProcedure(block, values) {
+    if (block.opcode === 'procedures_definition') {
+      const prototype = this.blocks[block.inputs?.custom_block?.[1]];
+      const mutation = prototype?.mutation || {};
+      const names = JSON.parse(mutation.argumentnames || '[]');
+      let index = 0;
+      const signature = (mutation.proccode || 'custom block').replace(/%[sbn]/g, () => `(${names[index++] ?? '_'})`);
+      return `define ${signature}`;
+    }
+
+    const mutation = block.mutation || {};
+    const ids = JSON.parse(mutation.argumentids || '[]');
+    let index = 0;
+    return (mutation.proccode || 'custom block').replace(/%[sbn]/g, () => values[ids[index++]] ?? '_');
+  }
+
+  /**
+   * Render the text of a single block (without nested stacks)
+   * @param {Object} block - Scratch block
+   * @returns {string}
+   */
+  renderBlockText(block) {
+    const values = this.collectValues(block);
+
+    if (block.opcode === 'procedures_definition' || block.opcode === 'procedures_call') {
+      return this.renderProcedure(block, values);
+    }
+
+    const template = BLOCK_TEMPLATES[block.opcode];
+    if (template) {
+      const placeholders = [...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+      if (placeholders.every(name => name in values)) {
+        return template.replace(/\{(\w+)\}/g, (_, name) => values[name]);
+      }
+    }
+
+    return [humanizeOpcode(block.opcode), ...Object.values(values)].join(' ');
+  }
+
+  /**
+   * Render a stack of blocks following "next" links
+   * @param {string} blockId - First block of the stack
+   * @param {number} depth - Indentation level
+   * @param {Array<string>} lines - Output lines
+   */
+  renderStack(blockId, depth, lines) {
+    let id = blockId;
+    let level = depth;
+
+    while (id && this.blocks[id]) {
+      const block = this.blocks[id];
+      lines.push(INDENT.repeat(level) + this.renderBlockText(block));
+
+      const substack = block.inputs?.SUBSTACK?.[1];
+      if (typeof substack === 'string') {
+        this.renderStack(substack, level + 1, lines);
+      }
+
+      if (block.opcode === 'control_if_else') {
+        lines.push(INDENT.repeat(level) + 'else');
+        const elseStack = block.inputs?.SUBSTACK2?.[1];
+        if (typeof elseStack === 'string') {
+          this.renderStack(elseStack, level + 1, lines);
+        }
+      }
+
+      // Blocks under a hat form its body
+      if (id === blockId && isHatBlock(block)) {
+        level++;
+      }
+
+      id = block.next;
+    }
+  }
+
+  /**
+   * Render every top-level script, ordered by position in the workspace
+   * @returns {Array<{id: string, text: string}>} Scripts keyed by their top block ID
+   */
+  renderScripts() {
+    return Object.entries(this.blocks)
+      .filter(([, block]) => block && typeof block === 'object' && block.topLevel && !block.shadow)
+      .sort(([idA, a], [idB, b]) => (a.y || 0) - (b.y || 0) || (a.x || 0) - (b.x || 0) || idA.localeCompare(idB))
+      .map(([id]) => {
+        const lines = [];
+        this.renderStack(id, 0, lines);
+        return { id, text: lines.join('\n') };
+      });
+  }
+}
+
+/**
+ * Render each script of a word-block project separately
+ * @param {Object} project - Result of parseSpikeProject()
+ * @returns {Array<{target: string, id: string, text: string}>} Scripts in listing order
+ */
+export function renderScriptList(project) {
+  const targets = project.scratchProject?.targets;
+  if (!Array.isArray(targets)) {
+    return [];
+  }
+
+  return targets.flatMap(target =>
+    new TargetRenderer(target.blocks).renderScripts().map(script => ({ target: target.name, ...script }))
+  );
+}
+
+/**
+ * Render a word-block project as pseudo-code
+ * @param {Object} project - Result of parseSpikeProject()
+ * @returns {string|null} Listing ending with a newline, or null if the project has no blocks
+ */
+export function renderBlocks(project) {
+  const targets = project.scratchProject?.targets;
+  if (!Array.isArray(targets)) {
+    return null;
+  }
+
+  const sections = [];
+  for (const target of targets) {
+    const scripts = new TargetRenderer(target.blocks).renderScripts();
+    if (scripts.length === 0) continue;
+    sections.push(`[${target.name}]\n\n${scripts.map(script => script.text).join('\n\n')}`);
+  }
+
+  const title = `${project.manifest?.name || 'SPIKE project'} (${project.type || 'word-blocks'})`;
+  return [title, ...sections].join('\n\n') + '\n';
+}
@@ -0,0 +1,119 @@
+/**
+ * Project path templates
+ * Expand placeholders like {project} or {season} in the project path setting
+ */
+
+export const PATH_PLACEHOLDERS = {
+  project: 'Project name',
+  user: 'GitHub username',
+  date: "Today's date (YYYY-MM-DD)",
+  season: 'Competition season, e.g. 2026-2027 (starts in August)',
+  type: 'python, word-blocks or icon-blocks'
+};
+
+// Month (0-based) a new FIRST LEGO League season starts in
+const SEASON_START_MONTH = 7;
+
+/**
+ * Replace characters that aren't safe in repository paths
+ * @param {string} value - Project name or placeholder value
+ * @returns {string}
+ */
+export function sanitizePathSegment(value) {
+  return String(value).replace(/[^a-zA-Z0-9-_]/g, '_');
+}
+
+/**
+ * Get the season a date falls in, e.g. "2026-2027" from August 2026 to July 2027
+ * @param {Date} date - Any date
+ * @returns {string}
+ */
+export function getSeason(date) {
+  const startYear = date.getMonth() >= SEASON_START_MONTH ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${startYear + 1}`;
+}
+
+/**
+ * Clean up a folder path: no leading slash, trailing slash unless empty
+ * @param {string} folder - Folder as typed by the user
+ * @returns {string} Folder prefix for file paths
+ */
+export function normalizeFolder(folder) {
+  folder = folder.trim();
+  if (folder.startsWith('/')) {
+    folder = folder.substring(1);
+  }
+  if (folder && !folder.endsWith('/')) {
+    folder += '/';
+  }
+  return folder;
+}
+
+/**
+ * Check whether a folder template needs the user's GitHub login
+ * @param {string} folder - Folder template
+ * @returns {boolean}
+ */
+export function usesUserPlaceholder(folder) {
+  return folder.includes('{user}');
+}
+
+/**
+ * Work out where a project and its readable sources are stored
+ * @param {string} folder - Folder template, may contain {project}, {user}, {date}, {season} and {type}
+ * @param {Object} values - Placeholder values
+ * @param {string} values.project - Project name
+ * @param {string} [values.user] - GitHub login
+ * @param {string} [values.type] - Project type from the manifest
+ * @param {Date} [values.date] - Date to use for {date} and {season} (defaults to now)
+ * @param {boolean} [perProjectFolder] - Keep everything in a folder named after the project
+ * @returns {{filePath: string, sourceDir: string, pythonPath: string, blocksPath: string}}
+ */
+export function buildProjectPaths(folder, values, perProjectFolder = false) {
+  const date = values.date || new Date();
+  const name = sanitizePathSegment(values.project);
+  const replacements = {
+    project: name,
+    user: sanitizePathSegment(values.user || 'unknown'),
+    date: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`,
+    season: getSeason(date),
+    type: sanitizePathSegment(values.type || 'unknown')
+  };
+
+  let projectPath = normalizeFolder(
+    folder.replace(/\{(\w+)\}/g, (placeholder, key) => replacements[key] ?? placeholder)
+  );
+
+  if (perProjectFolder) {
+    // projects/Robot/Robot.llsp3 with the sources beside it
+    projectPath += `${name}/`;
+    return {
+      filePath: `${projectPath}${name}.llsp3`,
+      sourceDir: projectPath,
+      pythonPath: `${projectPath}${name}.py`,
+      blocksPath: `${projectPath}${name}.blocks.txt`
+    };
+  }
+
+  return {
+    filePath: `${projectPath}${name}.llsp3`,
+    sourceDir: `${projectPath}${name}/`,
+    pythonPath: `${projectPath}${name}.py`,
+    blocksPath: `${projectPath}${name}.blocks.txt`
+  };
+}
+
+/**
+ * Get the folder and layout of an existing project file
+ * @param {string} filePath - Path of a .llsp3 in the repository
+ * @returns {{folder: string, perProjectFolder: boolean}} Values that make buildProjectPaths() return filePath again
+ */
+export function parseProjectPath(filePath) {
+  const parts = filePath.split('/');
+  const name = parts.pop().replace(/\.llsp3$/, '');
+  if (parts.length > 0 && parts[parts.length - 1] === name) {
+    parts.pop();
+    return { folder: parts.length > 0 ? `${parts.join('/')}/` : '', perProjectFolder: true };
+  }
+  return { folder: parts.length > 0 ? `${parts.join('/')}/` : '', perProjectFolder: false };
+}
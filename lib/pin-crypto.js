@@ -0,0 +1,118 @@
+/**
+ * PIN encryption utilities
+ * Wrap stored tokens with a key derived from a user PIN (PBKDF2 + AES-GCM)
+ */
+
+// OWASP recommendation for PBKDF2-HMAC-SHA256
+export const PBKDF2_ITERATIONS = 600000;
+
+/**
+ * Encode bytes as base64 (for chrome.storage, which only holds JSON)
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes to encode
+ * @returns {string}
+ */
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.byteLength; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array}
+ */
+function fromBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Generate a random salt for a new PIN
+ * @returns {string} Base64 salt
+ */
+export function generateSalt() {
+  const array = new Uint8Array(16);
+  crypto.getRandomValues(array);
+  return toBase64(array);
+}
+
+/**
+ * Derive the AES key for a PIN
+ * @param {string} pin - PIN entered by the user
+ * @param {string} salt - Base64 salt stored with the encrypted data
+ * @param {number} [iterations] - PBKDF2 iterations stored with the encrypted data
+ * @returns {Promise<string>} Base64 raw key, to be kept in chrome.storage.session while unlocked
+ */
+export async function deriveKey(pin, salt, iterations = PBKDF2_ITERATIONS) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(pin),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+    baseKey,
+    256
+  );
+  return toBase64(bits);
+}
+
+/**
+ * Import a raw key for AES-GCM
+ * @param {string} rawKey - Base64 raw key from deriveKey()
+ * @returns {Promise<CryptoKey>}
+ */
+function importAesKey(rawKey) {
+  return crypto.subtle.importKey('raw', fromBase64(rawKey), 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Encrypt a JSON value
+ * @param {string} rawKey - Base64 raw key from deriveKey()
+ * @param {Object} keyParams - How the key was derived (stored alongside so the PIN can unlock it again)
+ * @param {string} keyParams.salt - Salt passed to deriveKey()
+ * @param {number} keyParams.iterations - Iterations passed to deriveKey()
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<{encrypted: true, salt: string, iterations: number, iv: string, data: string}>}
+ */
+export async function encryptJson(rawKey, { salt, iterations }, value) {
+  const iv = new Uint8Array(12);
+  crypto.getRandomValues(iv);
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    await importAesKey(rawKey),
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { encrypted: true, salt, iterations, iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * Decrypt a value from encryptJson()
+ * @param {string} rawKey - Base64 raw key from deriveKey()
+ * @param {Object} payload - Encrypted value
+ * @returns {Promise<*>} Decrypted value
+ * @throws {Error} If the key is wrong (AES-GCM rejects the data)
+ */
+export async function decryptJson(rawKey, payload) {
+  let data;
+  try {
+    data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(payload.iv) },
+      await importAesKey(rawKey),
+      fromBase64(payload.data)
+    );
+  } catch (error) {
+    throw new Error('Wrong PIN');
+  }
+  return JSON.parse(new TextDecoder().decode(data));
+}
@@ -0,0 +1,175 @@
+/**
+ * Semantic project diff
+ * Compares two parsed SPIKE projects: Python lines, block scripts and manifest fields
+ */
+
+import { getPythonSource, VOLATILE_MANIFEST_KEYS } from './spike-project.js';
+import { renderScriptList } from './block-renderer.js';
+
+// Unchanged lines kept around each change in the Python diff
+const CONTEXT_LINES = 2;
+
+/**
+ * Line diff based on the longest common subsequence
+ * @param {Array<string>} before - Old lines
+ * @param {Array<string>} after - New lines
+ * @returns {Array<{type: string, text: string}>} Operations: 'context', 'add' or 'remove'
+ */
+export function diffLines(before, after) {
+  const n = before.length;
+  const m = after.length;
+
+  // lcs[i][j] = length of the LCS of before[i..] and after[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = before[i] === after[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (before[i] === after[j]) {
+      ops.push({ type: 'context', text: before[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: 'remove', text: before[i++] });
+    } else {
+      ops.push({ type: 'add', text: after[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: 'remove', text: before[i++] });
+  while (j < m) ops.push({ type: 'add', text: after[j++] });
+
+  return ops;
+}
+
+/**
+ * Drop unchanged lines far from any change, marking gaps with 'skip' operations
+ * @param {Array<{type: string, text: string}>} ops - Result of diffLines()
+ * @returns {Array<{type: string, text: string}>}
+ */
+function collapseContext(ops) {
+  const keep = ops.map(op => op.type !== 'context');
+  ops.forEach((op, index) => {
+    if (op.type === 'context') return;
+    for (let k = Math.max(0, index - CONTEXT_LINES); k <= Math.min(ops.length - 1, index + CONTEXT_LINES); k++) {
+      keep[k] = true;
+    }
+  });
+
+  const collapsed = [];
+  ops.forEach((op, index) => {
+    if (keep[index]) {
+      collapsed.push(op);
+    } else if (collapsed.length === 0 || collapsed[collapsed.length - 1].type !== 'skip') {
+      collapsed.push({ type: 'skip', text: '…' });
+    }
+  });
+  return collapsed;
+}
+
+/**
+ * Diff Python sources
+ * @param {Object|null} before - Old parsed project
+ * @param {Object} after - New parsed project
+ * @returns {Array|null} Collapsed line operations, or null if neither side is Python
+ */
+function diffPython(before, after) {
+  const oldSource = before ? getPythonSource(before) : null;
+  const newSource = getPythonSource(after);
+  if (oldSource === null && newSource === null) {
+    return null;
+  }
+
+  const toLines = source => (source === null ? [] : source.replace(/\n$/, '').split('\n'));
+  const ops = diffLines(toLines(oldSource), toLines(newSource));
+  return ops.some(op => op.type !== 'context') ? collapseContext(ops) : [];
+}
+
+/**
+ * Diff block scripts, matched by sprite and top block ID
+ * @param {Object|null} before - Old parsed project
+ * @param {Object} after - New parsed project
+ * @returns {{added: Array, removed: Array, modified: Array}}
+ */
+function diffScripts(before, after) {
+  const key = script => `${script.target}/${script.id}`;
+  const oldScripts = new Map((before ? renderScriptList(before) : []).map(script => [key(script), script]));
+  const newScripts = new Map(renderScriptList(after).map(script => [key(script), script]));
+
+  const result = { added: [], removed: [], modified: [] };
+
+  for (const [scriptKey, script] of newScripts) {
+    const oldScript = oldScripts.get(scriptKey);
+    if (!oldScript) {
+      result.added.push({ target: script.target, text: script.text });
+    } else if (oldScript.text !== script.text) {
+      result.modified.push({
+        target: script.target,
+        lines: diffLines(oldScript.text.split('\n'), script.text.split('\n'))
+      });
+    }
+  }
+
+  for (const [scriptKey, script] of oldScripts) {
+    if (!newScripts.has(scriptKey)) {
+      result.removed.push({ target: script.target, text: script.text });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Diff top-level manifest fields
+ * @param {Object|null} before - Old parsed project
+ * @param {Object} after - New parsed project
+ * @returns {Array<{key: string, before: string|null, after: string|null}>}
+ */
+function diffManifest(before, after) {
+  const oldManifest = before?.manifest || {};
+  const newManifest = after.manifest || {};
+  const keys = [...new Set([...Object.keys(oldManifest), ...Object.keys(newManifest)])].sort();
+
+  return keys
+    .filter(key => !VOLATILE_MANIFEST_KEYS.includes(key))
+    .map(key => ({
+      key,
+      before: key in oldManifest ? JSON.stringify(oldManifest[key]) : null,
+      after: key in newManifest ? JSON.stringify(newManifest[key]) : null
+    }))
+    .filter(change => change.before !== change.after);
+}
+
+/**
+ * Semantic diff of a project against its previous version
+ * @param {Object|null} before - Parsed project on GitHub, or null if it doesn't exist yet
+ * @param {Object} after - Parsed captured project
+ * @returns {Object} Diff with python, scripts, manifest and hasChanges
+ */
+export function diffProjects(before, after) {
+  const python = diffPython(before, after);
+  const scripts = diffScripts(before, after);
+  const manifest = diffManifest(before, after);
+
+  const hasChanges = !before ||
+    (python !== null && python.length > 0) ||
+    scripts.added.length > 0 ||
+    scripts.removed.length > 0 ||
+    scripts.modified.length > 0 ||
+    manifest.length > 0;
+
+  return {
+    isNew: !before,
+    python,
+    scripts,
+    manifest,
+    hasChanges
+  };
+}
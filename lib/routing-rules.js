@@ -0,0 +1,96 @@
+/**
+ * Routing rules
+ * Pick the repository, branch and folder a project is pushed to from its name or type
+ */
+
+// Project types as stored in manifest.json
+export const PROJECT_TYPES = {
+  python: 'Python',
+  'word-blocks': 'Word blocks',
+  'icon-blocks': 'Icon blocks'
+};
+
+/**
+ * Turn a name pattern into a regular expression
+ * "/.../flags" is used as a regular expression, anything else as a glob
+ * where * matches any text and ? a single character (case-insensitive, whole name)
+ * @param {string} pattern - Pattern from a rule
+ * @returns {RegExp}
+ * @throws {Error} If a regular expression pattern is invalid
+ */
+export function compileNamePattern(pattern) {
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regexMatch) {
+    try {
+      return new RegExp(regexMatch[1], regexMatch[2]);
+    } catch (error) {
+      throw new Error(`Invalid pattern ${pattern}: ${error.message}`);
+    }
+  }
+
+  const source = pattern
+    .split('')
+    .map(char => (char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Tidy a rule before it is checked and saved - a stray space in any field would keep it from working
+ * @param {Object} rule - Routing rule as edited in the popup
+ * @returns {Object} Rule with every text field trimmed
+ */
+export function normalizeRule(rule) {
+  return {
+    match: rule.match,
+    pattern: (rule.pattern || '').trim(),
+    repository: (rule.repository || '').trim(),
+    branch: (rule.branch || '').trim(),
+    projectPath: (rule.projectPath || '').trim()
+  };
+}
+
+/**
+ * Check a rule before it is saved
+ * @param {Object} rule - Routing rule
+ * @returns {string|null} Problem with the rule, or null if it is usable
+ */
+export function validateRule(rule) {
+  if (rule.repository && !/^[^/\s]+\/[^/\s]+$/.test(rule.repository)) {
+    return `Repository "${rule.repository}" must look like owner/repo`;
+  }
+  if (rule.match === 'type') {
+    return PROJECT_TYPES[rule.pattern] ? null : `Unknown project type "${rule.pattern}"`;
+  }
+  if (!rule.pattern || !rule.pattern.trim()) {
+    return 'Enter a name pattern';
+  }
+  try {
+    compileNamePattern(rule.pattern.trim());
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+/**
+ * Find the first rule that matches a project
+ * @param {Array<Object>} rules - Ordered rules: {match: 'name' | 'type', pattern, repository, branch, projectPath}
+ * @param {Object} project - Project to route
+ * @param {string} project.projectName - Project name
+ * @param {string|null} project.projectType - Type from the project manifest
+ * @returns {Object|null} Matching rule, or null to use the selected repository, branch and path
+ */
+export function findRoute(rules, project) {
+  return (rules || []).find(rule => {
+    if (rule.match === 'type') {
+      return rule.pattern === project.projectType;
+    }
+    try {
+      return compileNamePattern(rule.pattern.trim()).test(project.projectName);
+    } catch (error) {
+      // Rules are checked when saved; an invalid one simply never matches
+      return false;
+    }
+  }) || null;
+}
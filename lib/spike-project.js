@@ -0,0 +1,190 @@
+/**
+ * SPIKE Prime project utilities
+ * Unpacks .llsp3 archives into readable, diff-friendly source files
+ */
+
+import { readZip } from './zip.js';
+import { renderBlocks } from './block-renderer.js';
+
+// Manifest fields SPIKE rewrites on every save - not meaningful changes
+export const VOLATILE_MANIFEST_KEYS = ['lastsaved', 'size'];
+
+/**
+ * Decode a ZIP entry as UTF-8 text
+ * @param {Map<string, Uint8Array>} files - Archive entries
+ * @param {string} name - Entry name
+ * @returns {string|null} Entry text or null if missing
+ */
+function readText(files, name) {
+  const data = files.get(name);
+  return data ? new TextDecoder().decode(data) : null;
+}
+
+/**
+ * Decode a ZIP entry as JSON
+ * @param {Map<string, Uint8Array>} files - Archive entries
+ * @param {string} name - Entry name
+ * @returns {Object|null} Parsed JSON or null if missing
+ * @throws {Error} If the entry is not valid JSON
+ */
+function readJson(files, name) {
+  const text = readText(files, name);
+  if (text === null) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a captured .llsp3 project
+ * @param {ArrayBuffer} buffer - Project ZIP content
+ * @returns {Promise<Object>} Parsed project parts
+ */
+export async function parseSpikeProject(buffer) {
+  const files = await readZip(buffer);
+
+  const manifest = readJson(files, 'manifest.json');
+  if (!manifest) {
+    throw new Error('Not a SPIKE project: manifest.json is missing');
+  }
+
+  // Word-block projects keep a nested Scratch archive with its own project.json
+  let scratchProject = null;
+  if (files.has('scratch.sb3')) {
+    const scratchFiles = await readZip(files.get('scratch.sb3'));
+    scratchProject = readJson(scratchFiles, 'project.json');
+  }
+
+  return {
+    type: manifest.type || null,
+    manifest,
+    projectBody: readJson(files, 'projectbody.json'),
+    scratchProject,
+    iconSvg: readText(files, 'icon.svg')
+  };
+}
+
+/**
+ * Recursively sort object keys so serialized output is stable between saves
+ * @param {*} value - Any JSON value
+ * @returns {*} Value with sorted object keys
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = sortKeys(value[key]);
+      return sorted;
+    }, {});
+  }
+  return value;
+}
+
+/**
+ * Pretty-print JSON with stable key order
+ * @param {*} value - Any JSON value
+ * @returns {string} Indented JSON ending with a newline
+ */
+export function stableStringify(value) {
+  return JSON.stringify(sortKeys(value), null, 2) + '\n';
+}
+
+/**
+ * Get the program source of a Python project
+ * @param {Object} project - Result of parseSpikeProject()
+ * @returns {string|null} Python source ending with a newline, or null for block projects
+ */
+export function getPythonSource(project) {
+  const source = project.projectBody?.main;
+  if (project.type !== 'python' || typeof source !== 'string') {
+    return null;
+  }
+  return source.endsWith('\n') ? source : source + '\n';
+}
+
+/**
+ * Build the readable source tree for a parsed project
+ * @param {Object} project - Result of parseSpikeProject()
+ * @param {Object} paths - Where to place the files
+ * @param {string} paths.sourceDir - Repository folder for the unpacked files (with trailing slash)
+ * @param {string} paths.pythonPath - Repository path for the .py export of Python projects
+ * @param {string} paths.blocksPath - Repository path for the pseudo-code listing of word-block projects
+ * @returns {Array<{path: string, content: string}>} Files to commit
+ */
+export function getSourceFiles(project, paths) {
+  const { sourceDir, pythonPath, blocksPath } = paths;
+  const files = [
+    { path: `${sourceDir}manifest.json`, content: stableStringify(project.manifest) }
+  ];
+
+  if (project.projectBody) {
+    files.push({ path: `${sourceDir}projectbody.json`, content: stableStringify(project.projectBody) });
+  }
+
+  if (project.scratchProject) {
+    files.push({ path: `${sourceDir}scratch/project.json`, content: stableStringify(project.scratchProject) });
+  }
+
+  if (project.iconSvg) {
+    files.push({ path: `${sourceDir}icon.svg`, content: project.iconSvg });
+  }
+
+  const pythonSource = getPythonSource(project);
+  if (pythonSource !== null) {
+    files.push({ path: pythonPath, content: pythonSource });
+  }
+
+  const blocksListing = renderBlocks(project);
+  if (blocksListing !== null) {
+    files.push({ path: blocksPath, content: blocksListing });
+  }
+
+  return files;
+}
+
+/**
+ * Add one archive's entries to a fingerprint, recursing into nested archives
+ * @param {Map<string, Uint8Array>} files - Archive entries
+ * @param {string} prefix - Path prefix for nested archives
+ * @param {Array<Uint8Array>} parts - Output chunks to hash
+ */
+async function collectFingerprintParts(files, prefix, parts) {
+  const encoder = new TextEncoder();
+
+  for (const name of [...files.keys()].sort()) {
+    let data = files.get(name);
+
+    if (name.endsWith('.sb3')) {
+      // Nested archive carries its own timestamps - compare its entries instead
+      await collectFingerprintParts(await readZip(data), `${prefix}${name}/`, parts);
+      continue;
+    }
+
+    if (name === 'manifest.json' && !prefix) {
+      const manifest = readJson(files, name);
+      VOLATILE_MANIFEST_KEYS.forEach(key => delete manifest[key]);
+      data = encoder.encode(stableStringify(manifest));
+    }
+
+    parts.push(encoder.encode(`${prefix}${name}\0${data.byteLength}\0`), data);
+  }
+}
+
+/**
+ * Compute a fingerprint of a project's content that ignores ZIP timestamps and save metadata
+ * SPIKE re-zips on every save, so identical projects rarely have identical bytes
+ * @param {ArrayBuffer} buffer - Project ZIP content
+ * @returns {Promise<string>} Hex SHA-256 of the unpacked content
+ */
+export async function getProjectFingerprint(buffer) {
+  const parts = [];
+  await collectFingerprintParts(await readZip(buffer), '', parts);
+
+  const hash = await crypto.subtle.digest('SHA-256', await new Blob(parts).arrayBuffer());
+  return Array.from(new Uint8Array(hash), byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,122 @@
+/**
+ * Minimal ZIP reader
+ * Reads SPIKE Prime .llsp3 archives (and the nested scratch.sb3) without third-party libraries
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Find the End Of Central Directory record
+ * @param {DataView} view - View over the archive
+ * @returns {number} Offset of the EOCD record
+ * @throws {Error} If the buffer is not a ZIP archive
+ */
+function findEndOfCentralDirectory(view) {
+  // EOCD is 22 bytes plus an optional comment of up to 65535 bytes
+  const minOffset = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+    if (view.getUint32(offset, true) === EOCD_SIGNATURE) {
+      return offset;
+    }
+  }
+  throw new Error('Invalid ZIP archive: end of central directory not found');
+}
+
+/**
+ * Inflate raw DEFLATE data
+ * @param {Uint8Array} data - Compressed bytes
+ * @returns {Promise<Uint8Array>} Decompressed bytes
+ */
+async function inflateRaw(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  const buffer = await new Response(stream).arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+/**
+ * List entries in a ZIP archive
+ * @param {ArrayBuffer|Uint8Array} buffer - ZIP archive content
+ * @returns {Array<Object>} Entries with name, method, sizes and local header offset
+ */
+export function listZipEntries(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+
+  const eocd = findEndOfCentralDirectory(view);
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+
+  const entries = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new Error('Invalid ZIP archive: corrupt central directory');
+    }
+
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+
+    entries.push({
+      name: decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+      method: view.getUint16(offset + 10, true),
+      crc32: view.getUint32(offset + 16, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      localHeaderOffset: view.getUint32(offset + 42, true)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Read and decompress a single ZIP entry
+ * @param {ArrayBuffer|Uint8Array} buffer - ZIP archive content
+ * @param {Object} entry - Entry from listZipEntries()
+ * @returns {Promise<Uint8Array>} Entry content
+ */
+export async function readZipEntry(buffer, entry) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const offset = entry.localHeaderOffset;
+
+  if (view.getUint32(offset, true) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`Invalid ZIP archive: bad local header for "${entry.name}"`);
+  }
+
+  // Local header name/extra lengths can differ from the central directory
+  const nameLength = view.getUint16(offset + 26, true);
+  const extraLength = view.getUint16(offset + 28, true);
+  const dataStart = offset + 30 + nameLength + extraLength;
+  const data = bytes.subarray(dataStart, dataStart + entry.compressedSize);
+
+  if (entry.method === METHOD_STORED) {
+    return data.slice();
+  }
+  if (entry.method === METHOD_DEFLATE) {
+    return await inflateRaw(data);
+  }
+  throw new Error(`Unsupported ZIP compression method ${entry.method} for "${entry.name}"`);
+}
+
+/**
+ * Read all file entries of a ZIP archive
+ * @param {ArrayBuffer|Uint8Array} buffer - ZIP archive content
+ * @returns {Promise<Map<string, Uint8Array>>} Map of entry name to content (directories skipped)
+ */
+export async function readZip(buffer) {
+  const files = new Map();
+  for (const entry of listZipEntries(buffer)) {
+    if (entry.name.endsWith('/')) continue;
+    files.set(entry.name, await readZipEntry(buffer, entry));
+  }
+  return files;
+}
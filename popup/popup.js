@@ -3,42 +3,113 @@
  * Handles popup UI and user interactions
  */
 
+import { PROJECT_TYPES, normalizeRule, validateRule } from '../lib/routing-rules.js';
+import { buildProjectPaths } from '../lib/path-template.js';
+
 // Get references to DOM elements
 const screens = {
   loading: document.getElementById('loading-screen'),
   setup: document.getElementById('setup-screen'),
   notConnected: document.getElementById('not-connected-screen'),
+  locked: document.getElementById('locked-screen'),
   connected: document.getElementById('connected-screen')
 };
 
 const elements = {
+  unlockForm: document.getElementById('unlock-form'),
+  unlockPinInput: document.getElementById('unlock-pin-input'),
+  unlockBtn: document.getElementById('unlock-btn'),
+  forgotPinLink: document.getElementById('forgot-pin-link'),
+  pinStatus: document.getElementById('pin-status'),
+  pinForm: document.getElementById('pin-form'),
+  newPinInput: document.getElementById('new-pin-input'),
+  confirmPinInput: document.getElementById('confirm-pin-input'),
+  savePinBtn: document.getElementById('save-pin-btn'),
+  setPinBtn: document.getElementById('set-pin-btn'),
+  removePinBtn: document.getElementById('remove-pin-btn'),
+  lockBtn: document.getElementById('lock-btn'),
+  profileBar: document.getElementById('profile-bar'),
+  profileAvatar: document.getElementById('profile-avatar'),
+  profileSelect: document.getElementById('profile-select'),
+  addProfileBtn: document.getElementById('add-profile-btn'),
+  removeProfileBtn: document.getElementById('remove-profile-btn'),
   redirectUri: document.getElementById('redirect-uri'),
   copyRedirectBtn: document.getElementById('copy-redirect-btn'),
   callbackUrlDisplay: document.getElementById('callback-url-display'),
   copyCallbackBtn: document.getElementById('copy-callback-btn'),
   clientIdInput: document.getElementById('client-id-input'),
   clientSecretInput: document.getElementById('client-secret-input'),
+  authFlowSelect: document.getElementById('auth-flow-select'),
+  webFlowSetup: document.getElementById('web-flow-setup'),
+  notConnectedStatus: document.getElementById('not-connected-status'),
+  notConnectedText: document.getElementById('not-connected-text'),
+  notConnectedHelp: document.getElementById('not-connected-help'),
+  callbackUrlBox: document.getElementById('callback-url-box'),
+  deviceCodeBox: document.getElementById('device-code-box'),
+  deviceCode: document.getElementById('device-code'),
+  deviceVerifyLink: document.getElementById('device-verify-link'),
+  cancelDeviceAuthLink: document.getElementById('cancel-device-auth-link'),
   saveClientIdBtn: document.getElementById('save-client-id-btn'),
   connectBtn: document.getElementById('connect-btn'),
   reconfigureLink: document.getElementById('reconfigure-link'),
   userAvatar: document.getElementById('user-avatar'),
   userName: document.getElementById('user-name'),
+  installationsSection: document.getElementById('installations-section'),
+  installationList: document.getElementById('installation-list'),
+  addInstallationLink: document.getElementById('add-installation-link'),
   repoSelect: document.getElementById('repo-select'),
   branchSelect: document.getElementById('branch-select'),
+  newBranchBtn: document.getElementById('new-branch-btn'),
+  newBranchForm: document.getElementById('new-branch-form'),
+  newBranchName: document.getElementById('new-branch-name'),
+  newBranchBase: document.getElementById('new-branch-base'),
+  createBranchBtn: document.getElementById('create-branch-btn'),
+  sessionBranches: document.getElementById('session-branches'),
+  pullRequest: document.getElementById('pull-request'),
   projectPath: document.getElementById('project-path'),
+  projectFolders: document.getElementById('project-folders'),
+  projectPathPreview: document.getElementById('project-path-preview'),
+  routingRules: document.getElementById('routing-rules'),
+  addRuleBtn: document.getElementById('add-rule-btn'),
   syncInterval: document.getElementById('sync-interval'),
+  autoSync: document.getElementById('auto-sync'),
+  autoSyncDelay: document.getElementById('auto-sync-delay'),
+  autoSyncMessage: document.getElementById('auto-sync-message'),
+  loadProjectSelect: document.getElementById('load-project-select'),
+  loadProjectBtn: document.getElementById('load-project-btn'),
+  projectHistoryBtn: document.getElementById('project-history-btn'),
+  projectHistory: document.getElementById('project-history'),
+  releases: document.getElementById('releases'),
   refreshReposBtn: document.getElementById('refresh-repos-btn'),
+  newRepoBtn: document.getElementById('new-repo-btn'),
+  newRepoForm: document.getElementById('new-repo-form'),
+  newRepoName: document.getElementById('new-repo-name'),
+  newRepoDescription: document.getElementById('new-repo-description'),
+  newRepoPrivate: document.getElementById('new-repo-private'),
+  createRepoBtn: document.getElementById('create-repo-btn'),
   saveSettingsBtn: document.getElementById('save-settings-btn'),
   disconnectBtn: document.getElementById('disconnect-btn'),
   syncHistory: document.getElementById('sync-history'),
+  outboxSection: document.getElementById('outbox-section'),
+  outboxTitle: document.getElementById('outbox-title'),
+  outboxList: document.getElementById('outbox-list'),
+  retryOutboxBtn: document.getElementById('retry-outbox-btn'),
   errorMessage: document.getElementById('error-message'),
   successMessage: document.getElementById('success-message')
 };
 
 // State
 let currentRepos = [];
+let installations = [];
+let activeInstallationId = null;
 let currentBranches = [];
 let currentSettings = {};
+let routingRules = [];
+let currentUser = null;
+let authFlow = 'device';
+let deviceAuthTimer = null;
+let profiles = [];
+let activeProfileId = null;
 
 /**
  * Show a specific screen
@@ -48,6 +119,8 @@ function showScreen(screenName) {
   if (screens[screenName]) {
     screens[screenName].classList.remove('hidden');
   }
+  // Profiles can be switched whether or not the active one is signed in
+  elements.profileBar.classList.toggle('hidden', !['connected', 'notConnected', 'locked'].includes(screenName));
 }
 
 /**
@@ -110,6 +183,7 @@ async function initialize() {
     // Check if client ID is configured
     const clientIdResponse = await sendMessage('GET_CLIENT_ID');
     const hasClientId = clientIdResponse && clientIdResponse.success && clientIdResponse.clientId;
+    authFlow = clientIdResponse?.authFlow || 'device';
 
     if (!hasClientId) {
       // Show setup screen
@@ -117,16 +191,7 @@ async function initialize() {
       return;
     }
 
-    // Check connection status
-    const connectionResponse = await sendMessage('CHECK_CONNECTION');
-
-    if (connectionResponse && connectionResponse.connected) {
-      // Show connected screen
-      await showConnectedScreen(connectionResponse.user);
-    } else {
-      // Show not connected screen
-      showScreen('notConnected');
-    }
+    await showActiveProfile();
 
   } catch (error) {
     console.error('[SpikePrimeGit Popup] Initialization error:', error);
@@ -136,6 +201,274 @@ async function initialize() {
   }
 }
 
+/**
+ * Show the connected or sign-in screen for the active profile
+ */
+async function showActiveProfile() {
+  // Check connection status (this also records who signed in to the profile)
+  const connectionResponse = await sendMessage('CHECK_CONNECTION');
+  await loadProfiles();
+
+  if (connectionResponse && connectionResponse.locked) {
+    // The sign-in is protected by a PIN that hasn't been entered this browser session
+    elements.unlockPinInput.value = '';
+    showScreen('locked');
+    elements.unlockPinInput.focus();
+  } else if (connectionResponse && connectionResponse.connected) {
+    // Show connected screen
+    renderPinStatus(connectionResponse.hasPin);
+    await showConnectedScreen(connectionResponse.user);
+  } else {
+    // Show not connected screen
+    showNotConnectedScreen(!!connectionResponse?.sessionExpired);
+
+    // A device sign-in started before the popup was closed may still be waiting
+    const deviceAuthResponse = await sendMessage('GET_DEVICE_AUTH');
+    if (deviceAuthResponse?.deviceAuth?.status === 'pending') {
+      showDeviceCode(deviceAuthResponse.deviceAuth);
+    }
+  }
+}
+
+/**
+ * Unlock the PIN-protected sign-in
+ */
+async function unlockWithPin() {
+  const pin = elements.unlockPinInput.value;
+  if (!pin) {
+    elements.unlockPinInput.focus();
+    return;
+  }
+
+  try {
+    elements.unlockBtn.disabled = true;
+    elements.unlockBtn.textContent = 'Unlocking...';
+
+    // Deriving the key from the PIN is deliberately slow
+    const response = await sendMessage('UNLOCK', { pin }, 15000);
+    if (!response.success) {
+      throw new Error(response.error || 'Unlock failed');
+    }
+
+    await showActiveProfile();
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Unlock error:', error);
+    showError('Could not unlock: ' + error.message);
+    elements.unlockPinInput.value = '';
+    elements.unlockPinInput.focus();
+  } finally {
+    elements.unlockBtn.disabled = false;
+    elements.unlockBtn.textContent = 'Unlock';
+  }
+}
+
+/**
+ * Show whether the sign-in is protected by a PIN
+ * @param {boolean} hasPin - Tokens are encrypted with a PIN
+ */
+function renderPinStatus(hasPin) {
+  elements.pinStatus.textContent = hasPin
+    ? 'Your GitHub sign-in is encrypted with a PIN, asked once per browser session.'
+    : 'Your GitHub sign-in is stored without a PIN. Set one so others using this Chromebook can\'t sync as you.';
+  elements.setPinBtn.textContent = hasPin ? 'Change PIN' : 'Set PIN';
+  elements.removePinBtn.style.display = hasPin ? '' : 'none';
+  elements.lockBtn.style.display = hasPin ? '' : 'none';
+  elements.pinForm.style.display = 'none';
+  elements.newPinInput.value = '';
+  elements.confirmPinInput.value = '';
+}
+
+/**
+ * Encrypt the sign-in with a new PIN
+ */
+async function savePin() {
+  const pin = elements.newPinInput.value;
+  if (pin !== elements.confirmPinInput.value) {
+    showError('The PINs don\'t match');
+    return;
+  }
+
+  try {
+    elements.savePinBtn.disabled = true;
+    const response = await sendMessage('SET_PIN', { pin }, 15000);
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to set PIN');
+    }
+
+    renderPinStatus(true);
+    showSuccess('PIN saved');
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Set PIN error:', error);
+    showError('Failed to set PIN: ' + error.message);
+  } finally {
+    elements.savePinBtn.disabled = false;
+  }
+}
+
+/**
+ * Store the sign-in without a PIN again
+ */
+async function removePin() {
+  if (!confirm('Remove the PIN? Anyone using this Chromebook could then sync with your GitHub account.')) {
+    return;
+  }
+
+  try {
+    const response = await sendMessage('REMOVE_PIN');
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to remove PIN');
+    }
+
+    renderPinStatus(false);
+    showSuccess('PIN removed');
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Remove PIN error:', error);
+    showError('Failed to remove PIN: ' + error.message);
+  }
+}
+
+/**
+ * Require the PIN again, e.g. before handing the Chromebook to someone else
+ */
+async function lockNow() {
+  try {
+    const response = await sendMessage('LOCK');
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to lock');
+    }
+
+    await showActiveProfile();
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Lock error:', error);
+    showError('Failed to lock: ' + error.message);
+  }
+}
+
+/**
+ * Load the profiles sharing this browser into the switcher
+ */
+async function loadProfiles() {
+  try {
+    const response = await sendMessage('GET_PROFILES');
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load profiles');
+    }
+
+    profiles = response.profiles;
+    activeProfileId = response.activeProfileId;
+    renderProfiles();
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Error loading profiles:', error);
+  }
+}
+
+/**
+ * Fill the profile switcher
+ */
+function renderProfiles() {
+  elements.profileSelect.innerHTML = '';
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.login && profile.login !== profile.name
+      ? `${profile.name} (${profile.login})`
+      : profile.name;
+    elements.profileSelect.appendChild(option);
+  });
+  elements.profileSelect.value = activeProfileId;
+
+  const activeProfile = profiles.find(profile => profile.id === activeProfileId);
+  elements.profileAvatar.src = activeProfile?.avatarUrl || '../assets/icons/icon48.png';
+}
+
+/**
+ * Switch to another profile and show its screen
+ * @param {string} profileId - Profile to switch to
+ */
+async function switchProfile(profileId) {
+  try {
+    hideDeviceCode();
+    // The switch waits for pushes still being retried from the outbox
+    const response = await sendMessage('SWITCH_PROFILE', { profileId }, 60000);
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to switch profile');
+    }
+
+    await showActiveProfile();
+    showSuccess(`Switched to ${response.profile.name}`);
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Error switching profile:', error);
+    showError('Failed to switch profile: ' + error.message);
+    elements.profileSelect.value = activeProfileId;
+  }
+}
+
+/**
+ * Add a profile for someone else using this Chromebook
+ */
+async function addProfile() {
+  const name = prompt('Name of the new profile, e.g. the student\'s name:');
+  if (name === null) {
+    return;
+  }
+
+  try {
+    hideDeviceCode();
+    const response = await sendMessage('CREATE_PROFILE', { name }, 60000);
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to add profile');
+    }
+
+    await showActiveProfile();
+    showSuccess(`Profile "${response.profile.name}" added - connect it to GitHub`);
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Error adding profile:', error);
+    showError('Failed to add profile: ' + error.message);
+  }
+}
+
+/**
+ * Remove the active profile with its GitHub sign-in and settings
+ */
+async function removeProfile() {
+  const profile = profiles.find(candidate => candidate.id === activeProfileId);
+  if (!profile || !confirm(`Remove profile "${profile.name}"? Its GitHub sign-in and settings are deleted from this browser.`)) {
+    return;
+  }
+
+  try {
+    hideDeviceCode();
+    const response = await sendMessage('REMOVE_PROFILE', { profileId: profile.id }, 60000);
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to remove profile');
+    }
+
+    await showActiveProfile();
+    showSuccess(`Profile "${profile.name}" removed`);
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Error removing profile:', error);
+    showError('Failed to remove profile: ' + error.message);
+  }
+}
+
+/**
+ * Show the sign-in screen for the configured sign-in method
+ * @param {boolean} [sessionExpired] - GitHub rejected the saved sign-in
+ */
+function showNotConnectedScreen(sessionExpired = false) {
+  // Only say the session expired when GitHub rejected the refresh, not after signing out
+  elements.notConnectedStatus.className = `status-box ${sessionExpired ? 'expired' : 'disconnected'}`;
+  elements.notConnectedText.textContent = sessionExpired ? 'Session expired' : 'Not Connected';
+  elements.notConnectedHelp.textContent = sessionExpired
+    ? 'Your GitHub session expired. Connect again to continue.'
+    : 'Connect to GitHub to start syncing your SPIKE Prime projects.';
+
+  // The callback URL only matters for the web flow
+  elements.callbackUrlBox.style.display = authFlow === 'web' ? 'block' : 'none';
+  elements.deviceCodeBox.style.display = 'none';
+  showScreen('notConnected');
+}
+
 /**
  * Show connected screen and load data
  */
@@ -143,6 +476,7 @@ async function showConnectedScreen(user) {
   showScreen('connected');
 
   // Set user info
+  currentUser = user || null;
   if (user) {
     elements.userAvatar.src = user.avatar_url || '';
     elements.userName.textContent = user.name || user.login || 'User';
@@ -151,11 +485,17 @@ async function showConnectedScreen(user) {
   // Load settings
   await loadSettings();
 
+  // Load the accounts the app is installed on
+  await loadInstallations();
+
   // Load repositories
   await loadRepositories();
 
   // Load sync history
   await loadSyncHistory();
+
+  // Load pushes waiting in the offline outbox
+  await loadOutbox();
 }
 
 /**
@@ -170,10 +510,24 @@ async function loadSettings() {
 
       // Set project path
       elements.projectPath.value = currentSettings.projectPath || 'projects/';
+      elements.projectFolders.checked = !!currentSettings.projectFolders;
+      updatePathPreview();
 
       // Set sync interval (default 15 minutes)
       elements.syncInterval.value = currentSettings.syncInterval || 15;
 
+      // Auto-sync (off by default, 30 second debounce)
+      elements.autoSync.checked = !!currentSettings.autoSync;
+      elements.autoSyncDelay.value = currentSettings.autoSyncDelay || 30;
+      elements.autoSyncMessage.value = currentSettings.autoSyncMessage || '';
+
+      // Daily session branches (off by default)
+      elements.sessionBranches.checked = !!currentSettings.sessionBranches;
+
+      // Routing rules (copied so unsaved edits don't leak into currentSettings)
+      routingRules = (currentSettings.routingRules || []).map(rule => ({ ...rule }));
+      renderRoutingRules();
+
       // Commit message is always empty - user must enter fresh message
       // elements.commitMessage.value = '';
 
@@ -192,10 +546,18 @@ async function loadRepositories() {
     elements.repoSelect.innerHTML = '<option value="">Loading repositories...</option>';
     elements.repoSelect.disabled = true;
 
-    const response = await sendMessage('GET_REPOS');
+    const response = await sendMessage('GET_REPOS', {}, 30000);
 
     if (response.success) {
       currentRepos = response.repos;
+      renderRoutingRules();
+
+      // A repository created here has been added to the installation - finish setting it up
+      if (response.pendingRepository &&
+          response.repos.some(repo => repo.full_name === response.pendingRepository)) {
+        await finishRepositorySetup(response.pendingRepository);
+        return;
+      }
 
       // Check if no repositories found
       if (response.repos.length === 0) {
@@ -206,11 +568,28 @@ async function loadRepositories() {
 
       elements.repoSelect.innerHTML = '<option value="">Select a repository</option>';
 
+      // Group repositories by account when several installations contribute
+      const groupByInstallation = new Set(response.repos.map(repo => repo.installationId)).size > 1;
+      const groups = new Map();
+
       response.repos.forEach(repo => {
         const option = document.createElement('option');
         option.value = repo.full_name;
         option.textContent = repo.full_name;
-        elements.repoSelect.appendChild(option);
+
+        if (!groupByInstallation) {
+          elements.repoSelect.appendChild(option);
+          return;
+        }
+
+        if (!groups.has(repo.installationId)) {
+          const installation = installations.find(candidate => candidate.id === repo.installationId);
+          const group = document.createElement('optgroup');
+          group.label = installation ? installation.account.login : repo.owner;
+          groups.set(repo.installationId, group);
+          elements.repoSelect.appendChild(group);
+        }
+        groups.get(repo.installationId).appendChild(option);
       });
 
       // Auto-select if only one repository
@@ -241,6 +620,81 @@ async function loadRepositories() {
   }
 }
 
+/**
+ * Load the accounts and organizations SpikePrimeGit is installed on
+ */
+async function loadInstallations() {
+  try {
+    const response = await sendMessage('GET_INSTALLATIONS', {}, 15000);
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load accounts');
+    }
+
+    installations = response.installations;
+    activeInstallationId = response.activeInstallationId;
+    elements.addInstallationLink.href = response.installUrl;
+    renderInstallations();
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Error loading installations:', error);
+    elements.installationsSection.style.display = 'none';
+  }
+}
+
+/**
+ * Show one button per installation, the active one highlighted
+ */
+function renderInstallations() {
+  elements.installationList.innerHTML = '';
+  elements.installationsSection.style.display = installations.length > 0 ? 'block' : 'none';
+
+  installations.forEach(installation => {
+    const item = document.createElement('button');
+    item.className = 'installation-item';
+    item.classList.toggle('active', installation.id === activeInstallationId);
+    item.title = installation.id === activeInstallationId ? 'Selected account' : 'Switch to this account';
+
+    const avatar = document.createElement('img');
+    avatar.src = installation.account.avatar_url || '';
+    avatar.alt = '';
+
+    const name = document.createElement('span');
+    name.textContent = installation.account.login;
+
+    const type = document.createElement('span');
+    type.className = 'sync-details';
+    type.textContent = installation.account.type === 'Organization' ? 'Organization' : 'Personal';
+
+    item.append(avatar, name, type);
+    item.addEventListener('click', () => selectInstallation(installation));
+    elements.installationList.appendChild(item);
+  });
+}
+
+/**
+ * Make an installation the active one
+ * @param {Object} installation - Installation to switch to
+ */
+async function selectInstallation(installation) {
+  if (installation.id === activeInstallationId) {
+    return;
+  }
+
+  try {
+    const response = await sendMessage('SELECT_INSTALLATION', { installationId: installation.id });
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to switch account');
+    }
+
+    activeInstallationId = installation.id;
+    renderInstallations();
+    showSuccess(`Switched to ${installation.account.login}`);
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Error switching installation:', error);
+    showError('Failed to switch account: ' + error.message);
+    await loadInstallations();
+  }
+}
+
 /**
  * Show help UI when no repositories are in the installation
  */
@@ -286,17 +740,146 @@ function showInstallationHelp(installUrl) {
   p3.style.color = '#6b7280';
   p3.textContent = 'After adding repository access, click the refresh button (↻) above to reload.';
 
+  const createBtn = document.createElement('button');
+  createBtn.className = 'btn-secondary';
+  createBtn.style.marginTop = '8px';
+  createBtn.textContent = "Don't have one yet? Create a Repository";
+  createBtn.addEventListener('click', () => {
+    elements.newRepoForm.style.display = 'block';
+    elements.newRepoName.focus();
+  });
+
   helpDiv.appendChild(h3);
   helpDiv.appendChild(p1);
   helpDiv.appendChild(p2);
   helpDiv.appendChild(link);
   helpDiv.appendChild(p3);
+  helpDiv.appendChild(createBtn);
 
   // Insert after repo select form section
   const repoFormSection = elements.repoSelect.closest('.form-section');
   repoFormSection.parentNode.insertBefore(helpDiv, repoFormSection.nextSibling);
 }
 
+/**
+ * Create a repository, then either set it up right away or send the user
+ * to add it to the installation (setup finishes when the popup sees it)
+ */
+async function createRepository() {
+  const name = elements.newRepoName.value.trim();
+  if (!name) {
+    showError('Enter a name for the new repository');
+    return;
+  }
+
+  try {
+    elements.createRepoBtn.disabled = true;
+    elements.createRepoBtn.textContent = 'Creating...';
+
+    const response = await sendMessage('CREATE_REPOSITORY', {
+      name,
+      description: elements.newRepoDescription.value.trim(),
+      isPrivate: elements.newRepoPrivate.checked
+    }, 15000);
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to create repository');
+    }
+
+    elements.newRepoName.value = '';
+    elements.newRepoDescription.value = '';
+    elements.newRepoForm.style.display = 'none';
+
+    if (response.needsAccess) {
+      showRepositoryAccessStep(response.repository, response.settingsUrl);
+    } else {
+      await loadRepositories();
+    }
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Error creating repository:', error);
+    showError('Failed to create repository: ' + error.message);
+  } finally {
+    elements.createRepoBtn.disabled = false;
+    elements.createRepoBtn.textContent = 'Create Repository';
+  }
+}
+
+/**
+ * Ask the user to add a newly created repository to the SpikePrimeGit installation
+ * @param {string} repository - Repository in "owner/repo" format
+ * @param {string} settingsUrl - Installation settings page
+ */
+function showRepositoryAccessStep(repository, settingsUrl) {
+  const existingHelp = document.getElementById('installation-help');
+  if (existingHelp) {
+    existingHelp.remove();
+  }
+
+  const helpDiv = document.createElement('div');
+  helpDiv.id = 'installation-help';
+  helpDiv.className = 'info-box';
+  helpDiv.style.marginTop = '16px';
+
+  // Create elements safely to prevent XSS
+  const h3 = document.createElement('h3');
+  h3.textContent = `✓ Created ${repository}`;
+
+  const p1 = document.createElement('p');
+  p1.style.margin = '12px 0';
+  p1.style.fontSize = '13px';
+  p1.textContent = 'One more step: under "Repository access", select this repository and save.';
+
+  const link = document.createElement('a');
+  link.href = settingsUrl;
+  link.target = '_blank';
+  link.className = 'btn-primary';
+  link.style.display = 'inline-block';
+  link.style.textDecoration = 'none';
+  link.style.textAlign = 'center';
+  link.textContent = 'Add to SpikePrimeGit';
+
+  const p2 = document.createElement('p');
+  p2.style.fontSize = '12px';
+  p2.style.marginTop = '12px';
+  p2.style.color = '#6b7280';
+  p2.textContent = 'Then open this popup again (or click ↻) - the repository is set up and selected automatically.';
+
+  helpDiv.appendChild(h3);
+  helpDiv.appendChild(p1);
+  helpDiv.appendChild(link);
+  helpDiv.appendChild(p2);
+
+  const repoFormSection = elements.repoSelect.closest('.form-section');
+  repoFormSection.parentNode.insertBefore(helpDiv, repoFormSection.nextSibling);
+}
+
+/**
+ * Add the starter files to a new repository and select it
+ * @param {string} repository - Repository in "owner/repo" format
+ */
+async function finishRepositorySetup(repository) {
+  const existingHelp = document.getElementById('installation-help');
+  if (existingHelp) {
+    existingHelp.remove();
+  }
+
+  elements.repoSelect.innerHTML = '<option value="">Setting up repository...</option>';
+
+  const response = await sendMessage('SETUP_REPOSITORY', { repository }, 30000);
+  if (!response.success) {
+    throw new Error(response.error || 'Failed to set up repository');
+  }
+
+  currentSettings.selectedRepo = repository;
+  currentSettings.selectedBranch = response.branch;
+  elements.projectPath.value = response.projectPath;
+  updatePathPreview();
+
+  // Reloading picks the new repository and branch from currentSettings
+  await loadRepositories();
+  await saveSettings();
+  showSuccess(`${repository} is ready - your projects will be saved in ${response.projectPath}`);
+}
+
 /**
  * Load branches for selected repository
  */
@@ -325,6 +908,9 @@ async function loadBranches(repository) {
       }
 
       elements.branchSelect.disabled = false;
+      await loadProjects();
+      await loadPullRequest();
+      await loadReleases();
     } else {
       throw new Error(response.error || 'Failed to load branches');
     }
@@ -336,35 +922,636 @@ async function loadBranches(repository) {
 }
 
 /**
- * Load sync history
+ * Create a branch from the selected or the default branch and select it
  */
-async function loadSyncHistory() {
-  try {
-    const response = await sendMessage('GET_SYNC_HISTORY', { limit: 10 });
+async function createBranch() {
+  const repository = elements.repoSelect.value;
+  const name = elements.newBranchName.value.trim();
+  const fromBranch = elements.newBranchBase.value === 'current' ? elements.branchSelect.value : null;
 
-    if (response.success && response.history.length > 0) {
-      elements.syncHistory.innerHTML = '';
+  if (!repository) {
+    showError('Select a repository first');
+    return;
+  }
+  if (!name) {
+    showError('Enter a name for the new branch');
+    return;
+  }
+  if (elements.newBranchBase.value === 'current' && !fromBranch) {
+    showError('Select the branch to start from');
+    return;
+  }
 
-      response.history.forEach(item => {
-        const div = document.createElement('div');
-        div.className = 'sync-item';
+  try {
+    elements.createBranchBtn.disabled = true;
+    elements.createBranchBtn.textContent = 'Creating...';
 
-        const date = new Date(item.timestamp);
-        const timeAgo = getTimeAgo(date);
+    const response = await sendMessage('CREATE_BRANCH', { repository, branch: name, fromBranch }, 30000);
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to create branch');
+    }
 
-        // Create elements safely to prevent XSS
-        const projectNameDiv = document.createElement('div');
-        projectNameDiv.className = 'sync-project-name';
-        projectNameDiv.textContent = item.projectName;
+    await loadBranches(repository);
+    elements.branchSelect.value = name;
+    await loadProjects();
+    await loadPullRequest();
 
-        const detailsDiv = document.createElement('div');
-        detailsDiv.className = 'sync-details';
-        detailsDiv.textContent = `${item.repository} (${item.branch}) • ${timeAgo}`;
+    elements.newBranchName.value = '';
+    elements.newBranchForm.style.display = 'none';
+    showSuccess(`Branch "${name}" created from ${response.baseBranch}. Save settings to sync to it.`);
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Error creating branch:', error);
+    showError('Failed to create branch: ' + error.message);
+  } finally {
+    elements.createBranchBtn.disabled = false;
+    elements.createBranchBtn.textContent = 'Create Branch';
+  }
+}
 
-        div.appendChild(projectNameDiv);
-        div.appendChild(detailsDiv);
+/**
+ * Show the pull request for the selected branch, or offer to open one
+ */
+async function loadPullRequest() {
+  const repository = elements.repoSelect.value;
+  const branch = elements.branchSelect.value;
+  elements.pullRequest.style.display = 'none';
+  elements.pullRequest.textContent = '';
 
-        elements.syncHistory.appendChild(div);
+  if (!repository || !branch) return;
+
+  try {
+    const response = await sendMessage('GET_PULL_REQUEST', { repository, branch }, 15000);
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to check pull request');
+    }
+
+    // Ignore answers for a branch that is no longer selected
+    if (elements.branchSelect.value !== branch) return;
+
+    const { pullRequest, draft } = response;
+    if (pullRequest) {
+      renderPullRequest(pullRequest);
+    }
+
+    if (draft) {
+      const note = document.createElement('div');
+      note.className = 'sync-details';
+      note.textContent = `${draft.commitCount} commit(s) not in ${response.defaultBranch} yet`;
+
+      const titleInput = document.createElement('input');
+      titleInput.type = 'text';
+      titleInput.className = 'text-input';
+      titleInput.style.marginTop = '8px';
+      titleInput.value = draft.title;
+
+      const openBtn = document.createElement('button');
+      openBtn.className = 'btn-secondary';
+      openBtn.style.marginTop = '8px';
+      openBtn.textContent = 'Open Pull Request';
+      openBtn.addEventListener('click', () => createPullRequest(titleInput.value, draft.body, openBtn));
+
+      elements.pullRequest.appendChild(note);
+      elements.pullRequest.appendChild(titleInput);
+      elements.pullRequest.appendChild(openBtn);
+    }
+
+    if (pullRequest || draft) {
+      elements.pullRequest.style.display = 'block';
+    }
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Error loading pull request:', error);
+  }
+}
+
+/**
+ * Show a pull request link with its review status
+ * @param {Object} pullRequest - {number, title, url, reviewStatus}
+ */
+function renderPullRequest(pullRequest) {
+  const labels = {
+    review_pending: 'Waiting for review',
+    approved: '✓ Approved',
+    changes_requested: 'Changes requested',
+    merged: 'Merged',
+    closed: 'Closed without merging'
+  };
+
+  // Create elements safely to prevent XSS
+  const link = document.createElement('a');
+  link.href = pullRequest.url;
+  link.target = '_blank';
+  link.textContent = `PR #${pullRequest.number}: ${pullRequest.title}`;
+
+  const status = document.createElement('div');
+  status.className = 'sync-details';
+  status.textContent = labels[pullRequest.reviewStatus] || pullRequest.reviewStatus;
+
+  elements.pullRequest.appendChild(link);
+  elements.pullRequest.appendChild(status);
+}
+
+/**
+ * Open a pull request from the selected branch into the default branch
+ * @param {string} title - Pull request title
+ * @param {string} body - Pull request description
+ * @param {HTMLButtonElement} button - Button to disable while creating
+ */
+async function createPullRequest(title, body, button) {
+  if (!title.trim()) {
+    showError('Enter a title for the pull request');
+    return;
+  }
+
+  try {
+    button.disabled = true;
+    button.textContent = 'Opening...';
+
+    const response = await sendMessage('CREATE_PULL_REQUEST', {
+      repository: elements.repoSelect.value,
+      branch: elements.branchSelect.value,
+      title,
+      body
+    }, 15000);
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to open pull request');
+    }
+
+    showSuccess(`Opened pull request #${response.pullRequest.number}`);
+    await loadPullRequest();
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Error opening pull request:', error);
+    showError('Failed to open pull request: ' + error.message);
+    button.disabled = false;
+    button.textContent = 'Open Pull Request';
+  }
+}
+
+/**
+ * Load .llsp3 projects on the selected repository and branch
+ */
+async function loadProjects() {
+  const repository = elements.repoSelect.value;
+  const branch = elements.branchSelect.value;
+
+  if (!repository || !branch) {
+    elements.loadProjectSelect.innerHTML = '<option value="">Select branch first</option>';
+    elements.loadProjectSelect.disabled = true;
+    return;
+  }
+
+  try {
+    elements.loadProjectSelect.innerHTML = '<option value="">Loading projects...</option>';
+    elements.loadProjectSelect.disabled = true;
+
+    const response = await sendMessage('LIST_PROJECTS', { repository, branch }, 15000);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load projects');
+    }
+
+    if (response.projects.length === 0) {
+      elements.loadProjectSelect.innerHTML = '<option value="">No projects in project path</option>';
+      return;
+    }
+
+    elements.loadProjectSelect.innerHTML = '<option value="">Select a project</option>';
+    response.projects.forEach(project => {
+      const option = document.createElement('option');
+      option.value = project.path;
+      option.dataset.repository = project.repository;
+      option.dataset.branch = project.branch;
+      // Projects a routing rule pushed elsewhere say where they are
+      option.textContent = project.repository === repository && project.branch === branch
+        ? project.name
+        : `${project.name} (${project.repository}, ${project.branch})`;
+      elements.loadProjectSelect.appendChild(option);
+    });
+    elements.loadProjectSelect.disabled = false;
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Error loading projects:', error);
+    elements.loadProjectSelect.innerHTML = '<option value="">Error loading projects</option>';
+  }
+}
+
+/**
+ * Where the project selected for loading lives
+ * @returns {{path: string, repository: string, branch: string}}
+ */
+function getSelectedProject() {
+  const option = elements.loadProjectSelect.selectedOptions[0];
+  return {
+    path: elements.loadProjectSelect.value,
+    repository: option?.dataset.repository || elements.repoSelect.value,
+    branch: option?.dataset.branch || elements.branchSelect.value
+  };
+}
+
+/**
+ * Open the selected GitHub project in the SPIKE Prime tab
+ */
+async function openProjectInSpike() {
+  const { path, repository, branch } = getSelectedProject();
+  if (!path) {
+    showError('Please select a project to load');
+    return;
+  }
+
+  if (elements.repoSelect.value !== currentSettings.selectedRepo ||
+      elements.branchSelect.value !== currentSettings.selectedBranch) {
+    showError('Save settings first - projects load from the saved repository and branch');
+    return;
+  }
+
+  try {
+    elements.loadProjectBtn.disabled = true;
+    elements.loadProjectBtn.textContent = 'Opening...';
+
+    const tabs = await chrome.tabs.query({ url: 'https://spike.legoeducation.com/*' });
+    if (tabs.length === 0) {
+      throw new Error('Open SPIKE Prime in a tab first');
+    }
+
+    // Prefer the SPIKE tab the user is looking at
+    const tab = tabs.find(t => t.active) || tabs[0];
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'OPEN_PROJECT', path, repository, branch });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'SPIKE Prime tab did not respond. Try refreshing it.');
+    }
+
+    await chrome.tabs.update(tab.id, { active: true });
+    window.close();
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Error opening project:', error);
+    showError('Failed to load project: ' + error.message);
+  } finally {
+    elements.loadProjectBtn.disabled = false;
+    elements.loadProjectBtn.textContent = 'Open in SPIKE Prime';
+  }
+}
+
+/**
+ * Show the GitHub commit history of the selected project
+ */
+async function loadProjectHistory() {
+  const { path, repository, branch } = getSelectedProject();
+  if (!path) {
+    showError('Please select a project to see its history');
+    return;
+  }
+
+  try {
+    elements.projectHistoryBtn.disabled = true;
+    elements.projectHistoryBtn.textContent = 'Loading...';
+
+    const response = await sendMessage('GET_PROJECT_HISTORY', { repository, branch, path }, 15000);
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load history');
+    }
+
+    elements.projectHistory.textContent = '';
+    elements.projectHistory.style.display = 'block';
+
+    if (response.commits.length === 0) {
+      const emptyState = document.createElement('p');
+      emptyState.className = 'empty-state';
+      emptyState.textContent = 'No history on this branch';
+      elements.projectHistory.appendChild(emptyState);
+      return;
+    }
+
+    response.commits.forEach(commit => {
+      const div = document.createElement('div');
+      div.className = 'sync-item';
+
+      // Create elements safely to prevent XSS
+      const messageDiv = document.createElement('div');
+      messageDiv.className = 'sync-project-name';
+      messageDiv.textContent = commit.message;
+
+      const detailsDiv = document.createElement('div');
+      detailsDiv.className = 'sync-details';
+      detailsDiv.textContent = `${commit.author} • ${getTimeAgo(new Date(commit.date))} • ${commit.sha.substring(0, 7)}`;
+
+      const actionsDiv = document.createElement('div');
+      actionsDiv.className = 'history-actions';
+
+      const downloadBtn = document.createElement('button');
+      downloadBtn.className = 'btn-small';
+      downloadBtn.textContent = 'Download';
+      downloadBtn.addEventListener('click', () => downloadRevision(path, commit.sha));
+
+      const restoreBtn = document.createElement('button');
+      restoreBtn.className = 'btn-small';
+      restoreBtn.textContent = 'Restore';
+      restoreBtn.addEventListener('click', () => restoreRevision(path, commit.sha, restoreBtn));
+
+      actionsDiv.appendChild(downloadBtn);
+      actionsDiv.appendChild(restoreBtn);
+
+      div.appendChild(messageDiv);
+      div.appendChild(detailsDiv);
+      div.appendChild(actionsDiv);
+      elements.projectHistory.appendChild(div);
+    });
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Error loading project history:', error);
+    showError('Failed to load history: ' + error.message);
+  } finally {
+    elements.projectHistoryBtn.disabled = false;
+    elements.projectHistoryBtn.textContent = 'Version History';
+  }
+}
+
+/**
+ * Download a past revision of a project as a .llsp3 file
+ */
+async function downloadRevision(path, commitSha) {
+  const { repository, branch } = getSelectedProject();
+  try {
+    const response = await sendMessage('LOAD_PROJECT', {
+      repository,
+      branch,
+      path,
+      ref: commitSha
+    }, 30000);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Download failed');
+    }
+
+    const binaryString = atob(response.zipContent);
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+      bytes[i] = binaryString.charCodeAt(i);
+    }
+
+    const url = URL.createObjectURL(new Blob([bytes], { type: 'application/zip' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${response.projectName}-${commitSha.substring(0, 7)}.llsp3`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Error downloading revision:', error);
+    showError('Failed to download revision: ' + error.message);
+  }
+}
+
+/**
+ * Commit a past revision of a project as its latest version
+ */
+async function restoreRevision(path, commitSha, button) {
+  if (!confirm(`Restore this project to revision ${commitSha.substring(0, 7)}? A new commit will be created.`)) {
+    return;
+  }
+
+  try {
+    button.disabled = true;
+    button.textContent = 'Restoring...';
+
+    const { repository, branch } = getSelectedProject();
+    const response = await sendMessage('RESTORE_REVISION', {
+      repository,
+      branch,
+      path,
+      commitSha
+    }, 60000);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Restore failed');
+    }
+
+    showSuccess(response.action === 'unchanged' ? 'Project already matches this revision' : 'Revision restored!');
+    await loadProjectHistory();
+    await loadSyncHistory();
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Error restoring revision:', error);
+    showError('Failed to restore revision: ' + error.message);
+    button.disabled = false;
+    button.textContent = 'Restore';
+  }
+}
+
+/**
+ * Show where an example project would be saved with the current path settings
+ */
+function updatePathPreview() {
+  const { filePath } = buildProjectPaths(elements.projectPath.value || 'projects/', {
+    project: 'My Robot',
+    user: currentUser?.login,
+    type: 'word-blocks'
+  }, elements.projectFolders.checked);
+  elements.projectPathPreview.textContent = filePath;
+}
+
+/**
+ * Render the routing rule editor from routingRules
+ */
+function renderRoutingRules() {
+  elements.routingRules.textContent = '';
+
+  routingRules.forEach((rule, index) => {
+    const div = document.createElement('div');
+    div.className = 'routing-rule';
+
+    const matchSelect = document.createElement('select');
+    matchSelect.className = 'select-input';
+    [['name', 'Name matches'], ['type', 'Project type is']].forEach(([value, text]) => {
+      matchSelect.appendChild(new Option(text, value));
+    });
+    matchSelect.value = rule.match;
+    matchSelect.addEventListener('change', () => {
+      rule.match = matchSelect.value;
+      rule.pattern = rule.match === 'type' ? 'python' : '';
+      renderRoutingRules();
+    });
+
+    let patternInput;
+    if (rule.match === 'type') {
+      patternInput = document.createElement('select');
+      patternInput.className = 'select-input';
+      Object.entries(PROJECT_TYPES).forEach(([value, text]) => {
+        patternInput.appendChild(new Option(text, value));
+      });
+    } else {
+      patternInput = document.createElement('input');
+      patternInput.type = 'text';
+      patternInput.className = 'text-input';
+      patternInput.placeholder = 'Comp* or /^drill/i';
+    }
+    patternInput.value = rule.pattern;
+    patternInput.addEventListener('input', () => { rule.pattern = patternInput.value; });
+    patternInput.addEventListener('change', () => { rule.pattern = patternInput.value; });
+
+    // Repositories the installation can access; empty = the selected repository
+    const repoSelect = document.createElement('select');
+    repoSelect.className = 'select-input';
+    repoSelect.appendChild(new Option('Selected repository', ''));
+    currentRepos.forEach(repo => repoSelect.appendChild(new Option(repo.full_name, repo.full_name)));
+    if (rule.repository && !currentRepos.some(repo => repo.full_name === rule.repository)) {
+      repoSelect.appendChild(new Option(rule.repository, rule.repository));
+    }
+    repoSelect.value = rule.repository;
+    repoSelect.addEventListener('change', () => { rule.repository = repoSelect.value; });
+
+    const branchInput = document.createElement('input');
+    branchInput.type = 'text';
+    branchInput.className = 'text-input';
+    branchInput.placeholder = 'Selected branch';
+    branchInput.value = rule.branch;
+    branchInput.addEventListener('input', () => { rule.branch = branchInput.value; });
+
+    const pathInput = document.createElement('input');
+    pathInput.type = 'text';
+    pathInput.className = 'text-input';
+    pathInput.placeholder = 'Project path above';
+    pathInput.value = rule.projectPath;
+    pathInput.addEventListener('input', () => { rule.projectPath = pathInput.value; });
+
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'history-actions';
+
+    const addAction = (text, title, disabled, handler) => {
+      const button = document.createElement('button');
+      button.className = 'btn-small';
+      button.textContent = text;
+      button.title = title;
+      button.disabled = disabled;
+      button.addEventListener('click', () => {
+        handler();
+        renderRoutingRules();
+      });
+      actionsDiv.appendChild(button);
+    };
+
+    addAction('↑', 'Check this rule earlier', index === 0, () => {
+      routingRules.splice(index - 1, 0, routingRules.splice(index, 1)[0]);
+    });
+    addAction('↓', 'Check this rule later', index === routingRules.length - 1, () => {
+      routingRules.splice(index + 1, 0, routingRules.splice(index, 1)[0]);
+    });
+    addAction('Remove', 'Remove this rule', false, () => {
+      routingRules.splice(index, 1);
+    });
+
+    div.appendChild(matchSelect);
+    div.appendChild(patternInput);
+    div.appendChild(repoSelect);
+    div.appendChild(branchInput);
+    div.appendChild(pathInput);
+    div.appendChild(actionsDiv);
+
+    elements.routingRules.appendChild(div);
+  });
+}
+
+/**
+ * List the selected repository's releases with download links for their projects
+ */
+async function loadReleases() {
+  const repository = elements.repoSelect.value;
+  elements.releases.textContent = '';
+
+  const showEmpty = text => {
+    const emptyState = document.createElement('p');
+    emptyState.className = 'empty-state';
+    emptyState.textContent = text;
+    elements.releases.appendChild(emptyState);
+  };
+
+  if (!repository) {
+    showEmpty('Select a repository first');
+    return;
+  }
+
+  try {
+    const response = await sendMessage('GET_RELEASES', { repository }, 15000);
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load releases');
+    }
+
+    if (response.releases.length === 0) {
+      showEmpty('No releases yet');
+      return;
+    }
+
+    response.releases.forEach(release => {
+      const div = document.createElement('div');
+      div.className = 'sync-item';
+
+      // Create elements safely to prevent XSS
+      const nameLink = document.createElement('a');
+      nameLink.className = 'sync-project-name';
+      nameLink.href = release.url;
+      nameLink.target = '_blank';
+      nameLink.textContent = release.name;
+
+      const detailsDiv = document.createElement('div');
+      detailsDiv.className = 'sync-details';
+      detailsDiv.textContent = `${release.tagName} • ${getTimeAgo(new Date(release.date))}`;
+      detailsDiv.title = release.notes;
+
+      const actionsDiv = document.createElement('div');
+      actionsDiv.className = 'history-actions';
+
+      release.assets.forEach(asset => {
+        const link = document.createElement('a');
+        link.className = 'btn-small';
+        link.href = asset.downloadUrl;
+        link.target = '_blank';
+        link.style.textDecoration = 'none';
+        link.textContent = `⬇ ${asset.name}`;
+        actionsDiv.appendChild(link);
+      });
+
+      div.appendChild(nameLink);
+      div.appendChild(detailsDiv);
+      div.appendChild(actionsDiv);
+
+      elements.releases.appendChild(div);
+    });
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Error loading releases:', error);
+    showEmpty('Could not load releases');
+  }
+}
+
+/**
+ * Load sync history
+ */
+async function loadSyncHistory() {
+  try {
+    const response = await sendMessage('GET_SYNC_HISTORY', { limit: 10 });
+
+    if (response.success && response.history.length > 0) {
+      elements.syncHistory.innerHTML = '';
+
+      response.history.forEach(item => {
+        const div = document.createElement('div');
+        div.className = 'sync-item';
+
+        const date = new Date(item.timestamp);
+        const timeAgo = getTimeAgo(date);
+
+        // Create elements safely to prevent XSS
+        const projectNameDiv = document.createElement('div');
+        projectNameDiv.className = 'sync-project-name';
+        projectNameDiv.textContent = item.projectName;
+
+        const detailsDiv = document.createElement('div');
+        detailsDiv.className = 'sync-details';
+        detailsDiv.textContent = `${item.repository} (${item.branch}) • ${timeAgo}`;
+
+        if (item.success === false) {
+          div.classList.add('failed');
+          detailsDiv.textContent += ` • ${item.error}`;
+        }
+
+        div.appendChild(projectNameDiv);
+        div.appendChild(detailsDiv);
+
+        elements.syncHistory.appendChild(div);
       });
     } else {
       elements.syncHistory.textContent = '';
@@ -378,6 +1565,111 @@ async function loadSyncHistory() {
   }
 }
 
+/**
+ * Load pushes waiting in the offline outbox
+ */
+async function loadOutbox() {
+  try {
+    const response = await sendMessage('GET_OUTBOX');
+
+    if (!response.success || response.items.length === 0) {
+      elements.outboxSection.style.display = 'none';
+      return;
+    }
+
+    elements.outboxSection.style.display = 'block';
+    elements.outboxTitle.textContent = `Waiting to Upload (${response.items.length})`;
+    elements.outboxList.textContent = '';
+
+    response.items.forEach(item => {
+      const div = document.createElement('div');
+      div.className = 'sync-item';
+
+      // Create elements safely to prevent XSS
+      const projectNameDiv = document.createElement('div');
+      projectNameDiv.className = 'sync-project-name';
+      projectNameDiv.textContent = item.projectNames.join(', ');
+
+      const detailsDiv = document.createElement('div');
+      detailsDiv.className = 'sync-details';
+      detailsDiv.textContent = `${item.repository} (${item.branch}) • saved ${getTimeAgo(new Date(item.createdAt))} • ${item.attempts} attempt(s)`;
+      detailsDiv.title = item.lastError || '';
+
+      // GitHub rejected it - no automatic retries; show why so the user can fix it, retry or discard
+      if (item.failed) {
+        div.classList.add('failed');
+        detailsDiv.textContent += ` • Failed: ${item.lastError}`;
+      }
+
+      const actionsDiv = document.createElement('div');
+      actionsDiv.className = 'history-actions';
+
+      const discardBtn = document.createElement('button');
+      discardBtn.className = 'btn-small';
+      discardBtn.textContent = 'Discard';
+      discardBtn.addEventListener('click', () => discardOutboxItem(item));
+
+      actionsDiv.appendChild(discardBtn);
+
+      div.appendChild(projectNameDiv);
+      div.appendChild(detailsDiv);
+      div.appendChild(actionsDiv);
+
+      elements.outboxList.appendChild(div);
+    });
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Error loading outbox:', error);
+  }
+}
+
+/**
+ * Retry every pending push now
+ */
+async function retryOutbox() {
+  try {
+    elements.retryOutboxBtn.disabled = true;
+    elements.retryOutboxBtn.textContent = 'Retrying...';
+
+    const response = await sendMessage('RETRY_OUTBOX', {}, 120000);
+    if (!response.success) {
+      throw new Error(response.error || 'Retry failed');
+    }
+
+    if (response.remaining > 0) {
+      showError(`${response.remaining} sync(s) still waiting - GitHub is not reachable yet`);
+    } else if (response.failed > 0) {
+      showError(`${response.failed} sync(s) rejected by GitHub - see the reason in the list`);
+    } else {
+      showSuccess(`Uploaded ${response.sent} pending sync(s)`);
+    }
+
+    await loadOutbox();
+    await loadSyncHistory();
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Error retrying outbox:', error);
+    showError('Failed to retry: ' + error.message);
+  } finally {
+    elements.retryOutboxBtn.disabled = false;
+    elements.retryOutboxBtn.textContent = 'Retry Now';
+  }
+}
+
+/**
+ * Drop a pending push without uploading it
+ * @param {Object} item - Outbox item from GET_OUTBOX
+ */
+async function discardOutboxItem(item) {
+  if (!confirm(`Discard the pending sync of "${item.projectNames.join(', ')}"? It will not be uploaded.`)) {
+    return;
+  }
+
+  const response = await sendMessage('DISCARD_OUTBOX_ITEM', { id: item.id });
+  if (!response.success) {
+    showError('Failed to discard: ' + response.error);
+  }
+  await loadOutbox();
+}
+
 /**
  * Get time ago string
  */
@@ -405,11 +1697,34 @@ async function saveSettings() {
       return;
     }
 
+    // Validate auto-sync delay
+    const autoSyncDelay = parseInt(elements.autoSyncDelay.value);
+    if (isNaN(autoSyncDelay) || autoSyncDelay < 5 || autoSyncDelay > 600) {
+      showError('Auto-sync delay must be between 5 and 600 seconds');
+      return;
+    }
+
+    // Validate routing rules
+    const rules = routingRules.map(normalizeRule);
+    for (const [index, rule] of rules.entries()) {
+      const problem = validateRule(rule);
+      if (problem) {
+        showError(`Rule ${index + 1}: ${problem}`);
+        return;
+      }
+    }
+
     const settings = {
       selectedRepo: elements.repoSelect.value,
       selectedBranch: elements.branchSelect.value,
       projectPath: elements.projectPath.value,
-      syncInterval: syncInterval
+      projectFolders: elements.projectFolders.checked,
+      syncInterval: syncInterval,
+      autoSync: elements.autoSync.checked,
+      autoSyncDelay: autoSyncDelay,
+      autoSyncMessage: elements.autoSyncMessage.value.trim(),
+      sessionBranches: elements.sessionBranches.checked,
+      routingRules: rules
     };
 
     const response = await sendMessage('SAVE_SETTINGS', { settings });
@@ -442,6 +1757,11 @@ async function saveSettings() {
  * Connect to GitHub
  */
 async function connectToGitHub() {
+  if (authFlow === 'device') {
+    await startDeviceAuth();
+    return;
+  }
+
   try {
     elements.connectBtn.disabled = true;
     elements.connectBtn.textContent = 'Connecting...';
@@ -450,7 +1770,7 @@ async function connectToGitHub() {
 
     if (response.success) {
       showSuccess('Connected successfully!');
-      await showConnectedScreen(response.user);
+      await showActiveProfile();
     } else {
       throw new Error(response.error || 'Authentication failed');
     }
@@ -463,6 +1783,87 @@ async function connectToGitHub() {
   }
 }
 
+/**
+ * Sign in with the device flow: show a code to enter on github.com
+ */
+async function startDeviceAuth() {
+  try {
+    elements.connectBtn.disabled = true;
+    elements.connectBtn.textContent = 'Connecting...';
+
+    const response = await sendMessage('START_DEVICE_AUTH', {}, 15000);
+    if (!response.success) {
+      throw new Error(response.error || 'Could not start sign-in');
+    }
+
+    showDeviceCode(response);
+    await navigator.clipboard.writeText(response.userCode).catch(() => {});
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Device sign-in error:', error);
+    showError('Failed to connect: ' + error.message);
+  } finally {
+    elements.connectBtn.disabled = false;
+    elements.connectBtn.textContent = 'Connect to GitHub';
+  }
+}
+
+/**
+ * Show the device code and wait for the service worker to finish signing in
+ * @param {Object} deviceAuth - userCode and verificationUri
+ */
+function showDeviceCode(deviceAuth) {
+  elements.deviceCode.textContent = deviceAuth.userCode;
+  elements.deviceVerifyLink.href = deviceAuth.verificationUri;
+  elements.deviceCodeBox.style.display = 'block';
+  elements.connectBtn.style.display = 'none';
+
+  clearInterval(deviceAuthTimer);
+  deviceAuthTimer = setInterval(checkDeviceAuth, 2000);
+}
+
+/**
+ * Hide the device code and stop waiting
+ */
+function hideDeviceCode() {
+  clearInterval(deviceAuthTimer);
+  deviceAuthTimer = null;
+  elements.deviceCodeBox.style.display = 'none';
+  elements.connectBtn.style.display = '';
+}
+
+/**
+ * Check whether the device code has been approved
+ */
+async function checkDeviceAuth() {
+  try {
+    const response = await sendMessage('GET_DEVICE_AUTH');
+    const deviceAuth = response?.deviceAuth;
+
+    if (!deviceAuth) {
+      hideDeviceCode();
+    } else if (deviceAuth.status === 'success') {
+      hideDeviceCode();
+      await sendMessage('CANCEL_DEVICE_AUTH');
+      showSuccess('Connected successfully!');
+      await showActiveProfile();
+    } else if (deviceAuth.status === 'error') {
+      hideDeviceCode();
+      await sendMessage('CANCEL_DEVICE_AUTH');
+      showError('Failed to connect: ' + deviceAuth.error);
+    }
+  } catch (error) {
+    console.error('[SpikePrimeGit Popup] Error checking device sign-in:', error);
+  }
+}
+
+/**
+ * Cancel a device flow sign-in
+ */
+async function cancelDeviceAuth() {
+  hideDeviceCode();
+  await sendMessage('CANCEL_DEVICE_AUTH');
+}
+
 /**
  * Disconnect from GitHub
  */
@@ -476,7 +1877,7 @@ async function disconnect() {
 
     if (response.success) {
       showSuccess('Disconnected successfully');
-      showScreen('notConnected');
+      showNotConnectedScreen();
     } else {
       throw new Error(response.error || 'Disconnect failed');
     }
@@ -491,14 +1892,15 @@ async function disconnect() {
  */
 async function saveClientId() {
   const clientId = elements.clientIdInput.value.trim();
-  const clientSecret = elements.clientSecretInput.value.trim();
+  const selectedFlow = elements.authFlowSelect.value;
+  const clientSecret = selectedFlow === 'web' ? elements.clientSecretInput.value.trim() : '';
 
   if (!clientId) {
     showError('Please enter a Client ID');
     return;
   }
 
-  if (!clientSecret) {
+  if (selectedFlow === 'web' && !clientSecret) {
     showError('Please enter a Client Secret');
     return;
   }
@@ -507,12 +1909,13 @@ async function saveClientId() {
     elements.saveClientIdBtn.disabled = true;
     elements.saveClientIdBtn.textContent = 'Saving...';
 
-    const response = await sendMessage('SET_CREDENTIALS', { clientId, clientSecret });
+    const response = await sendMessage('SET_CREDENTIALS', { clientId, clientSecret, authFlow: selectedFlow });
 
     if (response.success) {
+      authFlow = selectedFlow;
       showSuccess('Credentials saved!');
       setTimeout(() => {
-        showScreen('notConnected');
+        showNotConnectedScreen();
       }, 1000);
     } else {
       throw new Error(response.error || 'Failed to save credentials');
@@ -563,9 +1966,70 @@ elements.copyRedirectBtn.addEventListener('click', copyRedirectUri);
 elements.copyCallbackBtn.addEventListener('click', copyCallbackUrl);
 elements.saveClientIdBtn.addEventListener('click', saveClientId);
 elements.connectBtn.addEventListener('click', connectToGitHub);
+elements.profileSelect.addEventListener('change', () => switchProfile(elements.profileSelect.value));
+elements.addProfileBtn.addEventListener('click', addProfile);
+elements.removeProfileBtn.addEventListener('click', removeProfile);
+elements.cancelDeviceAuthLink.addEventListener('click', (e) => {
+  e.preventDefault();
+  cancelDeviceAuth();
+});
+elements.authFlowSelect.addEventListener('change', () => {
+  const isWeb = elements.authFlowSelect.value === 'web';
+  elements.webFlowSetup.style.display = isWeb ? 'block' : 'none';
+  elements.clientSecretInput.style.display = isWeb ? 'block' : 'none';
+});
 elements.disconnectBtn.addEventListener('click', disconnect);
+elements.unlockForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  unlockWithPin();
+});
+elements.forgotPinLink.addEventListener('click', async (e) => {
+  e.preventDefault();
+  if (confirm('Connect to GitHub again? Your PIN-protected sign-in is removed; settings are kept.')) {
+    await sendMessage('DISCONNECT');
+    await showActiveProfile();
+  }
+});
+elements.setPinBtn.addEventListener('click', () => {
+  elements.pinForm.style.display = elements.pinForm.style.display === 'none' ? 'block' : 'none';
+  elements.newPinInput.focus();
+});
+elements.savePinBtn.addEventListener('click', savePin);
+elements.removePinBtn.addEventListener('click', removePin);
+elements.lockBtn.addEventListener('click', lockNow);
 elements.saveSettingsBtn.addEventListener('click', saveSettings);
-elements.refreshReposBtn.addEventListener('click', loadRepositories);
+elements.refreshReposBtn.addEventListener('click', async () => {
+  await loadInstallations();
+  await loadRepositories();
+});
+elements.loadProjectBtn.addEventListener('click', openProjectInSpike);
+elements.projectHistoryBtn.addEventListener('click', loadProjectHistory);
+elements.retryOutboxBtn.addEventListener('click', retryOutbox);
+elements.createBranchBtn.addEventListener('click', createBranch);
+elements.createRepoBtn.addEventListener('click', createRepository);
+elements.projectPath.addEventListener('input', updatePathPreview);
+elements.projectFolders.addEventListener('change', updatePathPreview);
+elements.addRuleBtn.addEventListener('click', () => {
+  routingRules.push({ match: 'name', pattern: '', repository: '', branch: '', projectPath: '' });
+  renderRoutingRules();
+});
+elements.newRepoBtn.addEventListener('click', () => {
+  const isHidden = elements.newRepoForm.style.display === 'none';
+  elements.newRepoForm.style.display = isHidden ? 'block' : 'none';
+  if (isHidden) elements.newRepoName.focus();
+});
+elements.newBranchBtn.addEventListener('click', () => {
+  const isHidden = elements.newBranchForm.style.display === 'none';
+  elements.newBranchForm.style.display = isHidden ? 'block' : 'none';
+  if (isHidden) elements.newBranchName.focus();
+});
+elements.loadProjectSelect.addEventListener('change', () => {
+  elements.projectHistory.style.display = 'none';
+});
+elements.branchSelect.addEventListener('change', () => {
+  loadProjects();
+  loadPullRequest();
+});
 
 elements.reconfigureLink.addEventListener('click', (e) => {
   e.preventDefault();
@@ -582,6 +2046,9 @@ elements.repoSelect.addEventListener('change', async (e) => {
     await loadBranches(repository);
   } else {
     elements.branchSelect.innerHTML = '<option value="">Select repository first</option>';
+    await loadProjects();
+    await loadPullRequest();
+    await loadReleases();
   }
 });
 
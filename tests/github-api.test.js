@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { commitFiles } from '../background/github-api.js';
+
+// Signed in without a PIN, token valid for an hour
+const storage = {
+  github_tokens: { accessToken: 'ghu_test', expiresAt: Date.now() + 60 * 60 * 1000 }
+};
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: async (keys) => Object.fromEntries([].concat(keys).filter(key => key in storage).map(key => [key, storage[key]])),
+      set: async (values) => Object.assign(storage, values),
+      remove: async (keys) => [].concat(keys).forEach(key => delete storage[key])
+    },
+    session: { get: async () => ({}), set: async () => {}, remove: async () => {} }
+  }
+};
+
+/**
+ * Answer GitHub API requests from a list of [method, path pattern, status, body] and record them
+ */
+function mockGitHub(t, routes) {
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async (url, options = {}) => {
+    const method = options.method || 'GET';
+    const body = options.body ? JSON.parse(options.body) : null;
+    requests.push({ method, path: url.replace('https://api.github.com', ''), body });
+    const route = routes.find(([m, pattern]) => m === method && pattern.test(url));
+    const [status, data] = route ? route.slice(2) : [404, { message: 'Not Found' }];
+    return {
+      ok: status < 300,
+      status,
+      statusText: '',
+      headers: { get: () => null },
+      json: async () => data
+    };
+  });
+  return requests;
+}
+
+const files = [
+  { path: 'projects/Bot.llsp3', content: new Uint8Array(100) },
+  { path: 'projects/Bot/main.py', content: 'print("hi")\n' }
+];
+
+test('files are committed together on top of the branch', async (t) => {
+  const requests = mockGitHub(t, [
+    ['GET', /\/git\/ref\/heads\/main$/, 200, { object: { sha: 'parent' } }],
+    ['GET', /\/git\/commits\/parent$/, 200, { tree: { sha: 'old-tree' } }],
+    ['POST', /\/git\/blobs$/, 201, { sha: 'blob' }],
+    ['POST', /\/git\/trees$/, 201, { sha: 'new-tree' }],
+    ['POST', /\/git\/commits$/, 201, { sha: 'new-commit' }],
+    ['PATCH', /\/git\/refs\/heads\/main$/, 200, {}]
+  ]);
+
+  const result = await commitFiles({ owner: 'team', repo: 'robots', branch: 'main', files, message: 'Sync' });
+
+  assert.deepEqual(result, { commitSha: 'new-commit' });
+  const commits = requests.filter(request => request.method === 'POST' && request.path.endsWith('/git/commits'));
+  assert.equal(commits.length, 1);
+  assert.deepEqual(commits[0].body.parents, ['parent']);
+  assert.equal(requests.find(request => request.path.endsWith('/git/trees')).body.base_tree, 'old-tree');
+});
+
+test('nothing is committed when every file is unchanged', async (t) => {
+  const requests = mockGitHub(t, [
+    ['GET', /\/git\/ref\/heads\/main$/, 200, { object: { sha: 'parent' } }],
+    ['GET', /\/git\/commits\/parent$/, 200, { tree: { sha: 'same-tree' } }],
+    ['POST', /\/git\/blobs$/, 201, { sha: 'blob' }],
+    ['POST', /\/git\/trees$/, 201, { sha: 'same-tree' }]
+  ]);
+
+  const result = await commitFiles({ owner: 'team', repo: 'robots', branch: 'main', files, message: 'Sync' });
+
+  assert.deepEqual(result, { commitSha: null });
+  assert.ok(!requests.some(request => request.method === 'PATCH'));
+});
+
+test('an empty repository gets a single commit with every file', async (t) => {
+  const requests = mockGitHub(t, [
+    ['GET', /\/git\/ref\/heads\/main$/, 409, { message: 'Git Repository is empty.' }],
+    ['PUT', /\/contents\//, 201, { commit: { sha: 'seed' } }],
+    ['POST', /\/git\/blobs$/, 201, { sha: 'blob' }],
+    ['POST', /\/git\/trees$/, 201, { sha: 'tree' }],
+    ['POST', /\/git\/commits$/, 201, { sha: 'root' }],
+    ['PATCH', /\/git\/refs\/heads\/main$/, 200, {}]
+  ]);
+
+  const result = await commitFiles({ owner: 'team', repo: 'robots', branch: 'main', files, message: 'Sync' });
+
+  assert.deepEqual(result, { commitSha: 'root' });
+
+  // The smallest file seeds the repository, then a root commit of both files replaces the seed
+  const seed = requests.find(request => request.method === 'PUT');
+  assert.ok(seed.path.endsWith('/contents/projects/Bot/main.py'));
+  const tree = requests.find(request => request.path.endsWith('/git/trees'));
+  assert.equal(tree.body.base_tree, undefined);
+  assert.deepEqual(tree.body.tree.map(entry => entry.path), files.map(file => file.path));
+  const commit = requests.find(request => request.method === 'POST' && request.path.endsWith('/git/commits'));
+  assert.deepEqual(commit.body.parents, []);
+  const ref = requests.find(request => request.method === 'PATCH');
+  assert.deepEqual(ref.body, { sha: 'root', force: true });
+});
+
+test('a single file in an empty repository is committed through the Contents API alone', async (t) => {
+  const requests = mockGitHub(t, [
+    ['GET', /\/git\/ref\/heads\/main$/, 409, { message: 'Git Repository is empty.' }],
+    ['PUT', /\/contents\//, 201, { commit: { sha: 'seed' } }]
+  ]);
+
+  const result = await commitFiles({ owner: 'team', repo: 'robots', branch: 'main', files: files.slice(0, 1), message: 'Sync' });
+
+  assert.deepEqual(result, { commitSha: 'seed' });
+  assert.equal(requests.length, 2);
+});
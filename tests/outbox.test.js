@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isRetryableError } from '../background/outbox.js';
+import { fetchGitHub } from '../background/github-auth.js';
+
+// Messages as thrown by githubRequest()
+const apiError = (status, method = 'PUT') =>
+  new Error(`Something went wrong (${status} on ${method} /repos/team/robots/contents/projects/Bot.llsp3)`);
+
+test('network failures are retried', async (t) => {
+  t.mock.method(globalThis, 'fetch', async () => {
+    throw new TypeError('Failed to fetch');
+  });
+  const error = await fetchGitHub('https://api.github.com/user').catch(error => error);
+  assert.equal(error.name, 'NetworkError');
+  assert.ok(isRetryableError(error));
+});
+
+test('errors in our own code are not mistaken for network failures', () => {
+  assert.ok(!isRetryableError(new TypeError("Cannot read properties of undefined (reading 'sha')")));
+});
+
+test('GitHub outages and rate limits are retried', () => {
+  assert.ok(isRetryableError(apiError(500)));
+  assert.ok(isRetryableError(apiError(502, 'POST')));
+  assert.ok(isRetryableError(apiError(503)));
+  assert.ok(isRetryableError(apiError(429)));
+  assert.ok(isRetryableError(new Error('GitHub API rate limit exceeded. Resets at 10:00:00')));
+});
+
+test('pushes GitHub rejects are not retried', () => {
+  assert.ok(!isRetryableError(apiError(401)));
+  assert.ok(!isRetryableError(apiError(403)));
+  assert.ok(!isRetryableError(apiError(404)));
+  assert.ok(!isRetryableError(apiError(409)));
+  assert.ok(!isRetryableError(apiError(422, 'POST')));
+  assert.ok(!isRetryableError(new Error('No access to repository "team/robots"')));
+});
+
+test('status-like numbers elsewhere in the message are not mistaken for the status', () => {
+  assert.ok(!isRetryableError(new Error('Project "Bot 500" is too large (413 on PUT /contents/Bot_500.llsp3)')));
+});
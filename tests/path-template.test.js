@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildProjectPaths, getSeason, normalizeFolder, parseProjectPath, sanitizePathSegment } from '../lib/path-template.js';
+
+test('seasons start in August', () => {
+  assert.equal(getSeason(new Date(2026, 6, 31, 23, 59)), '2025-2026');
+  assert.equal(getSeason(new Date(2026, 7, 1)), '2026-2027');
+  assert.equal(getSeason(new Date(2027, 0, 15)), '2026-2027');
+  assert.equal(getSeason(new Date(2026, 11, 31)), '2026-2027');
+});
+
+test('normalizeFolder drops the leading slash and adds a trailing one', () => {
+  assert.equal(normalizeFolder(' /projects '), 'projects/');
+  assert.equal(normalizeFolder('projects/'), 'projects/');
+  assert.equal(normalizeFolder(''), '');
+});
+
+test('sanitizePathSegment keeps paths safe', () => {
+  assert.equal(sanitizePathSegment('My Robot: v2/final'), 'My_Robot__v2_final');
+});
+
+test('placeholders are filled in', () => {
+  const paths = buildProjectPaths('robots/{season}/{user}/{type}/{date}', {
+    project: 'Line Follower',
+    user: 'ada',
+    type: 'python',
+    date: new Date(2026, 7, 3)
+  });
+  assert.equal(paths.filePath, 'robots/2026-2027/ada/python/2026-08-03/Line_Follower.llsp3');
+  assert.equal(paths.sourceDir, 'robots/2026-2027/ada/python/2026-08-03/Line_Follower/');
+  assert.equal(paths.pythonPath, 'robots/2026-2027/ada/python/2026-08-03/Line_Follower.py');
+});
+
+test('missing and unknown placeholder values', () => {
+  const paths = buildProjectPaths('{user}/{type}/{other}', { project: 'Bot' });
+  assert.equal(paths.filePath, 'unknown/unknown/{other}/Bot.llsp3');
+});
+
+test('per-project folders keep the sources beside the project', () => {
+  const paths = buildProjectPaths('projects/', { project: 'Bot' }, true);
+  assert.equal(paths.filePath, 'projects/Bot/Bot.llsp3');
+  assert.equal(paths.sourceDir, 'projects/Bot/');
+  assert.equal(paths.blocksPath, 'projects/Bot/Bot.blocks.txt');
+});
+
+test('parseProjectPath gives back the folder and layout of a path', () => {
+  assert.deepEqual(parseProjectPath('projects/2026-2027/Bot.llsp3'), { folder: 'projects/2026-2027/', perProjectFolder: false });
+  assert.deepEqual(parseProjectPath('projects/Bot/Bot.llsp3'), { folder: 'projects/', perProjectFolder: true });
+  assert.deepEqual(parseProjectPath('Bot/Bot.llsp3'), { folder: '', perProjectFolder: true });
+  assert.deepEqual(parseProjectPath('Bot.llsp3'), { folder: '', perProjectFolder: false });
+});
+
+test('parseProjectPath round-trips through buildProjectPaths', () => {
+  for (const filePath of ['projects/2026-2027/Bot.llsp3', 'projects/Bot/Bot.llsp3', 'Bot.llsp3']) {
+    const { folder, perProjectFolder } = parseProjectPath(filePath);
+    assert.equal(buildProjectPaths(folder, { project: 'Bot' }, perProjectFolder).filePath, filePath);
+  }
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateSalt, deriveKey, encryptJson, decryptJson } from '../lib/pin-crypto.js';
+
+// Few PBKDF2 iterations keep the tests fast
+const ITERATIONS = 1000;
+
+test('tokens encrypted with a PIN decrypt with the same PIN', async () => {
+  const salt = generateSalt();
+  const rawKey = await deriveKey('1234', salt, ITERATIONS);
+  const tokens = { accessToken: 'ghu_abc', refreshToken: 'ghr_def', expiresAt: 1 };
+
+  const payload = await encryptJson(rawKey, { salt, iterations: ITERATIONS }, tokens);
+  assert.equal(payload.encrypted, true);
+  assert.equal(payload.salt, salt);
+  assert.equal(payload.iterations, ITERATIONS);
+  assert.ok(!payload.data.includes('ghu_abc'));
+
+  // Unlocking only has the PIN and what the payload says about the key
+  const again = await deriveKey('1234', payload.salt, payload.iterations);
+  assert.deepEqual(await decryptJson(again, payload), tokens);
+});
+
+test('a wrong PIN is rejected', async () => {
+  const salt = generateSalt();
+  const keyParams = { salt, iterations: ITERATIONS };
+  const payload = await encryptJson(await deriveKey('1234', salt, ITERATIONS), keyParams, { accessToken: 'ghu_abc' });
+
+  await assert.rejects(decryptJson(await deriveKey('4321', payload.salt, payload.iterations), payload), /Wrong PIN/);
+});
+
+test('every encryption uses a fresh salt and IV', async () => {
+  const salt = generateSalt();
+  assert.notEqual(generateSalt(), salt);
+
+  const rawKey = await deriveKey('1234', salt, ITERATIONS);
+  const first = await encryptJson(rawKey, { salt, iterations: ITERATIONS }, 'same');
+  const second = await encryptJson(rawKey, { salt, iterations: ITERATIONS }, 'same');
+  assert.notEqual(first.iv, second.iv);
+  assert.notEqual(first.data, second.data);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileNamePattern, findRoute, normalizeRule, validateRule } from '../lib/routing-rules.js';
+
+test('glob patterns match the whole name, ignoring case', () => {
+  const pattern = compileNamePattern('Comp*');
+  assert.ok(pattern.test('Competition bot'));
+  assert.ok(pattern.test('comp'));
+  assert.ok(!pattern.test('My Comp'));
+  assert.ok(compileNamePattern('Drill ?').test('drill 7'));
+  assert.ok(!compileNamePattern('Drill ?').test('Drill 12'));
+});
+
+test('glob patterns treat regular expression characters literally', () => {
+  assert.ok(compileNamePattern('v1.0 (final)').test('v1.0 (final)'));
+  assert.ok(!compileNamePattern('v1.0').test('v1x0'));
+});
+
+test('/.../flags patterns are regular expressions', () => {
+  assert.ok(compileNamePattern('/^drill/i').test('Drill 1'));
+  assert.ok(!compileNamePattern('/^drill/').test('Drill 1'));
+  assert.throws(() => compileNamePattern('/[/'), /Invalid pattern/);
+});
+
+test('findRoute picks the first matching rule', () => {
+  const rules = [
+    { match: 'name', pattern: 'Comp*', repository: 'team/competition' },
+    { match: 'type', pattern: 'python', branch: 'python' },
+    { match: 'name', pattern: '*', projectPath: 'other/' }
+  ];
+  assert.equal(findRoute(rules, { projectName: 'Comp bot', projectType: 'python' }), rules[0]);
+  assert.equal(findRoute(rules, { projectName: 'Drill', projectType: 'python' }), rules[1]);
+  assert.equal(findRoute(rules, { projectName: 'Drill', projectType: 'word-blocks' }), rules[2]);
+});
+
+test('findRoute skips invalid rules and falls back to null', () => {
+  const rules = [
+    { match: 'name', pattern: '/[/' },
+    { match: 'type', pattern: 'python' }
+  ];
+  assert.equal(findRoute(rules, { projectName: 'Drill', projectType: null }), null);
+  assert.equal(findRoute(undefined, { projectName: 'Drill', projectType: null }), null);
+});
+
+test('validateRule checks patterns and project types', () => {
+  assert.equal(validateRule({ match: 'name', pattern: 'Comp*' }), null);
+  assert.equal(validateRule({ match: 'name', pattern: '  ' }), 'Enter a name pattern');
+  assert.match(validateRule({ match: 'name', pattern: '/[/' }), /Invalid pattern/);
+  assert.equal(validateRule({ match: 'type', pattern: 'python' }), null);
+  assert.match(validateRule({ match: 'type', pattern: 'scratch' }), /Unknown project type/);
+});
+
+test('validateRule checks the repository of every rule kind', () => {
+  assert.equal(validateRule({ match: 'name', pattern: 'Comp*', repository: 'team/robots' }), null);
+  assert.match(validateRule({ match: 'name', pattern: 'Comp*', repository: 'robots' }), /owner\/repo/);
+  assert.match(validateRule({ match: 'type', pattern: 'python', repository: 'team robots' }), /owner\/repo/);
+});
+
+test('rules are trimmed before they are checked and saved', () => {
+  const rule = normalizeRule({ match: 'type', pattern: 'python', repository: ' team/robots ', branch: 'main ', projectPath: ' py/' });
+  assert.deepEqual(rule, { match: 'type', pattern: 'python', repository: 'team/robots', branch: 'main', projectPath: 'py/' });
+  assert.equal(validateRule(rule), null);
+  assert.match(validateRule(normalizeRule({ match: 'name', pattern: 'Comp*', repository: 'team/ robots' })), /owner\/repo/);
+});